@@ -4,6 +4,8 @@ import LoadingScreen from './components/LoadingScreen'
 import ErrorScreen from './components/ErrorScreen'
 import useTableauExtension from './hooks/useTableauExtension'
 import { Config } from './utils/config'
+import { resolveEncodings } from './utils/measureValues'
+import { getMappedFields, withMapping, withSeriesKeys } from './utils/series'
 import './styles/App.css'
 
 function App() {
@@ -14,6 +16,8 @@ function App() {
     data,
     columns,
     encodingMap,
+    loadedFields,
+    loadProgress,
     refreshData,
     openConfigDialog,
     setConfigureCallback
@@ -42,13 +46,15 @@ function App() {
       let loadedConfig = JSON.parse(JSON.stringify(Config.current))
 
       if (savedSettings && Object.keys(savedSettings).length > 0) {
+        const parsed = {}
         Object.keys(savedSettings).forEach(key => {
           try {
-            loadedConfig[key] = JSON.parse(savedSettings[key])
+            parsed[key] = JSON.parse(savedSettings[key])
           } catch {
-            loadedConfig[key] = savedSettings[key]
+            parsed[key] = savedSettings[key]
           }
         })
+        loadedConfig = withSeriesKeys({ ...loadedConfig, ...Config.migrateSettings(parsed) })
       }
 
       Config.current = loadedConfig
@@ -114,8 +120,9 @@ function App() {
             loadedConfig[key] = savedSettings[key]
           }
         })
-        // Merge with defaults to ensure all properties exist
-        finalConfig = { ...finalConfig, ...loadedConfig }
+        // Merge with defaults to ensure all properties exist; settings from older
+        // versions are upgraded first
+        finalConfig = withSeriesKeys({ ...finalConfig, ...Config.migrateSettings(loadedConfig) })
         console.log('[App] ✓ Loaded saved settings from Tableau')
       } else {
         console.log('[App] No saved settings found - using defaults')
@@ -148,46 +155,49 @@ function App() {
 
     setConfig(prevConfig => {
       // ENCODING-BASED MAPPING: Always use marks card as the source of truth
-      // encoding IDs match .trex manifest: "dimension", "bar1", "bar2", "line"
-      const newDimension = encodingMap.dimension || ''
-      const newBar1 = encodingMap.bar1 || ''
-      const newBar2 = encodingMap.bar2 || ''
-      const newLine = encodingMap.line || ''
+      // encoding IDs match .trex manifest: "dimension", "series", "bars", "line"
+      // Each entry is an ordered list of fields (bars and line accept several measures);
+      // Measure Values expands into its measure names by their assigned role
+      const {
+        dimension: newDimension,
+        series: newSeries,
+        bars: newBars,
+        lines: newLines
+      } = resolveEncodings(encodingMap, columns, prevConfig)
 
       // Log warnings for missing encodings
       if (!newDimension) console.warn('[App] Category encoding is empty')
-      if (!newBar1) console.warn('[App] Bar 1 encoding is empty')
-      if (!newBar2) console.warn('[App] Bar 2 encoding is empty')
-      if (!newLine) console.warn('[App] Line encoding is empty')
+      if (newBars.length === 0) console.warn('[App] Bars encoding is empty')
+      if (newLines.length === 0) console.warn('[App] Line encoding is empty')
       if (encodingMap.detail) {
-        console.warn('[App] Field in Detail section:', encodingMap.detail, '- did you mean to place it in Category, Bar 1, Bar 2, or Line?')
+        console.warn('[App] Field in Detail section:', encodingMap.detail.join(', '), '- did you mean to place it in Category, Series/Color, Bars, or Lines?')
       }
 
       // Check if anything actually changed
       if (
         prevConfig.dimension === newDimension &&
-        prevConfig.bar1Measure === newBar1 &&
-        prevConfig.bar2Measure === newBar2 &&
-        prevConfig.lineMeasure === newLine
+        (prevConfig.seriesDimension || '') === newSeries &&
+        JSON.stringify(prevConfig.barMeasures || []) === JSON.stringify(newBars) &&
+        JSON.stringify(prevConfig.lineMeasures || []) === JSON.stringify(newLines)
       ) {
         console.log('[App] No mapping changes - keeping current config')
         return prevConfig
       }
 
-      const updatedConfig = {
-        ...prevConfig,
+      // Measures keep their series keys (and so their styles) when reordered
+      const updatedConfig = withMapping(prevConfig, {
         dimension: newDimension,
-        bar1Measure: newBar1,
-        bar2Measure: newBar2,
-        lineMeasure: newLine,
+        seriesDimension: newSeries,
+        barMeasures: newBars,
+        lineMeasures: newLines,
         useManualMapping: false
-      }
+      })
 
       console.log('[App] ✓ Encoding-based mapping:')
       console.log('[App] - dimension:', newDimension)
-      console.log('[App] - bar1Measure:', newBar1)
-      console.log('[App] - bar2Measure:', newBar2)
-      console.log('[App] - lineMeasure:', newLine)
+      console.log('[App] - seriesDimension:', newSeries)
+      console.log('[App] - barMeasures:', newBars.join(', '))
+      console.log('[App] - lineMeasures:', newLines.join(', '))
 
       Config.current = updatedConfig
       debouncedSaveToTableau(updatedConfig)
@@ -202,14 +212,28 @@ function App() {
         clearTimeout(saveTimerRef.current)
       }
     }
-  }, [encodingMap, initialized])
+  }, [encodingMap, columns, initialized])
+
+  // Only mapped columns are read from the worksheet; reload when the mapping
+  // (e.g. a manual override from the dialog) needs a column that wasn't read
+  useEffect(() => {
+    if (!initialized || loading) return
+    const missing = getMappedFields(config).filter(field =>
+      !loadedFields.includes(field) && columns.some(c => c.fieldName === field))
+    if (missing.length > 0) {
+      console.log('[App] Mapped fields not loaded yet, reloading data:', missing.join(', '))
+      refreshData()
+    }
+  }, [config, loadedFields, columns, initialized, loading])
 
   if (error) {
     return <ErrorScreen error={error} onRetry={refreshData} />
   }
 
-  if (loading) {
-    return <LoadingScreen />
+  // Full-screen loader for the first load only; reloads (data changes, refresh, dialog
+  // save) keep the chart mounted so it transitions to the new values
+  if (loading && data === null) {
+    return <LoadingScreen progress={loadProgress} />
   }
 
   return (
@@ -264,6 +288,7 @@ function App() {
           columns={columns}
           config={config}
         />
+        {loading && <LoadingScreen progress={loadProgress} overlay />}
       </main>
 
     </div>
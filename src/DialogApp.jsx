@@ -1,6 +1,8 @@
 import { useState, useEffect, useRef, useCallback } from 'react'
 import SettingsDialog from './components/SettingsDialog'
 import { Config } from './utils/config'
+import { resolveEncodings } from './utils/measureValues'
+import { withSeriesKeys } from './utils/series'
 import { install, getLogs, clearLogs, setListener, removeListener } from './utils/logger'
 import './styles/App.css'
 
@@ -12,6 +14,9 @@ function DialogApp() {
   const [config, setConfig] = useState(null)
   const [columns, setColumns] = useState([])
   const [encodingMap, setEncodingMap] = useState({})
+  const [duplicateCategories, setDuplicateCategories] = useState(null)
+  const [categories, setCategories] = useState([])
+  const [categoryRange, setCategoryRange] = useState(null)
   const [workbookFont, setWorkbookFont] = useState(null)
   const [debugLogs, setDebugLogs] = useState(() => [...getLogs()])
 
@@ -40,6 +45,9 @@ function DialogApp() {
         payloadConfig = parsed.config || null
         setColumns(parsed.columns || [])
         setEncodingMap(parsed.encodingMap || {})
+        setDuplicateCategories(parsed.duplicateCategories || null)
+        setCategories(parsed.categories || [])
+        setCategoryRange(parsed.categoryRange || null)
         if (parsed.workbookFont) setWorkbookFont(parsed.workbookFont)
 
         // Prepend main extension logs so debug console shows full history
@@ -65,13 +73,15 @@ function DialogApp() {
       // Layer 1: Merge saved Tableau settings
       const savedSettings = tableau.extensions.settings.getAll()
       if (savedSettings && Object.keys(savedSettings).length > 0) {
+        const parsed = {}
         Object.keys(savedSettings).forEach(key => {
           try {
-            loadedConfig[key] = JSON.parse(savedSettings[key])
+            parsed[key] = JSON.parse(savedSettings[key])
           } catch {
-            loadedConfig[key] = savedSettings[key]
+            parsed[key] = savedSettings[key]
           }
         })
+        loadedConfig = { ...loadedConfig, ...Config.migrateSettings(parsed) }
       }
 
       // Layer 2: Override with live payload config (most up-to-date)
@@ -79,6 +89,7 @@ function DialogApp() {
         loadedConfig = { ...loadedConfig, ...payloadConfig }
         console.log('[Dialog] Using live config from payload')
       }
+      loadedConfig = withSeriesKeys(loadedConfig)
 
       Config.current = loadedConfig
       setConfig(loadedConfig)
@@ -90,11 +101,12 @@ function DialogApp() {
 
   const handleSave = async (newConfig) => {
     // Detect manual mapping: compare data fields against encoding map
+    const mapped = resolveEncodings(encodingMap, columns, newConfig)
     const dataMappingChanged =
-      newConfig.dimension !== (encodingMap.dimension || '') ||
-      newConfig.bar1Measure !== (encodingMap.bar1 || '') ||
-      newConfig.bar2Measure !== (encodingMap.bar2 || '') ||
-      newConfig.lineMeasure !== (encodingMap.line || '')
+      newConfig.dimension !== mapped.dimension ||
+      (newConfig.seriesDimension || '') !== mapped.series ||
+      JSON.stringify(newConfig.barMeasures || []) !== JSON.stringify(mapped.bars) ||
+      JSON.stringify(newConfig.lineMeasures || []) !== JSON.stringify(mapped.lines)
 
     const configToSave = {
       ...newConfig,
@@ -121,11 +133,12 @@ function DialogApp() {
   }
 
   const handleApply = async (newConfig) => {
+    const mapped = resolveEncodings(encodingMap, columns, newConfig)
     const dataMappingChanged =
-      newConfig.dimension !== (encodingMap.dimension || '') ||
-      newConfig.bar1Measure !== (encodingMap.bar1 || '') ||
-      newConfig.bar2Measure !== (encodingMap.bar2 || '') ||
-      newConfig.lineMeasure !== (encodingMap.line || '')
+      newConfig.dimension !== mapped.dimension ||
+      (newConfig.seriesDimension || '') !== mapped.series ||
+      JSON.stringify(newConfig.barMeasures || []) !== JSON.stringify(mapped.bars) ||
+      JSON.stringify(newConfig.lineMeasures || []) !== JSON.stringify(mapped.lines)
 
     const configToSave = {
       ...newConfig,
@@ -172,6 +185,9 @@ function DialogApp() {
     <SettingsDialog
       config={config}
       columns={columns}
+      duplicateCategories={duplicateCategories}
+      categories={categories}
+      categoryRange={categoryRange}
       onSave={handleSave}
       onApply={handleApply}
       onClose={handleClose}
@@ -1,89 +1,134 @@
-import { useEffect, useRef } from 'react'
+import { useEffect, useMemo, useRef, useState } from 'react'
 import * as d3 from 'd3'
 import { Config } from '../utils/config'
 import { getFormatter, getFormatOpts } from '../utils/formatters'
 import { getDisplayName, getFieldNames } from '../utils/displayNames'
-
-function ComboChart({ data, columns, config }) {
+import { getBarSeries, getDrawnBarSeries, resolveSeriesMeasure, getBarStyleSeriesLimit, getSeriesMembers, getDrawnLineSeries, getLineSeries, getParetoSeries, PARETO_KEY } from '../utils/series'
+import { buildChartData, binChartData, applyNullHandling, applyTopN, sortCategories, addCumulativePercent, buildWaterfall } from '../utils/chartData'
+import { timeGrains, parseDateValue, inferTimeGrain, getTimeTickInterval } from '../utils/timeAxis'
+import { downsampleRows } from '../utils/downsample'
+import { applyBreakpoints } from '../utils/responsive'
+import { alignDomains, autoDomain, createValueScale, niceValueScale, getValueTicks, getMinorTicks, hasCustomTicks, toLogDomain } from '../utils/valueAxis'
+import { setupCanvas, hideCanvas, canvasFont, measureTextWidth, toLineDash, drawBarRect, findNearestIndex, rectContains } from '../utils/canvasRenderer'
+
+function ComboChart({ data, columns, config: savedConfig }) {
   const svgRef = useRef(null)
   const containerRef = useRef(null)
   const tooltipRef = useRef(null)
+  const canvasRef = useRef(null)
+  // Inputs of the last drawn chart, to tell data changes from style-only changes
+  const renderedRef = useRef(null)
+
+  // Container size from the ResizeObserver below; the chart draws once it is known.
+  // Breakpoints simplify the config on small tiles (titles, ticks, labels).
+  const [size, setSize] = useState(null)
+  const { config, thinXTicks, thinYTicks } = useMemo(() => applyBreakpoints(savedConfig, size), [savedConfig, size])
 
   useEffect(() => {
-    if (!data || data.length === 0 || !svgRef.current) return
+    if (!data || data.length === 0 || !svgRef.current || !size) return
 
-    // Clear previous chart
-    d3.select(svgRef.current).selectAll('*').remove()
+    // Clear previous chart, except the marks layer: bars, lines and points are joined
+    // by key so data changes animate from the old values and style changes apply in place
+    d3.select(svgRef.current).selectAll(':scope > :not(.chart-root), :scope > .chart-root > :not(.marks)').remove()
+    hideCanvas(canvasRef.current)
+    d3.select(canvasRef.current).on('mousemove', null).on('mouseleave', null)
 
-    // Get dimensions from container (fills available space)
-    const container = containerRef.current
-    const rect = container.getBoundingClientRect()
-    const width = rect.width
-    const height = rect.height || config.height
+    // Dimensions of the container (fills available space)
+    const width = size.width
+    const height = size.height || config.height
 
     // Calculate responsive margins based on axis visibility, labels, and titles
     const baseMargin = Math.min(width, height) * 0.08
 
-    // Bottom margin: x-axis labels (rotation-aware) + title
-    let marginBottom = 10
+    // Orientation: vertical charts put categories along the bottom and values up the
+    // sides; horizontal charts put categories down the left and values along the
+    // bottom (left axis) and top (right axis). Config keys stay tied to the logical
+    // axes: xAxis* is the category axis, yAxisLeft*/yAxisRight* the value axes.
+    const isHorizontal = config.orientation === 'horizontal'
+    const isSharedAxisMode = config.axisMode === 'shared' && !config.paretoEnabled && config.barStyle !== 'stacked100'
+
+    // Typography config
+    const fontFamily = config.fontFamily || '"Tableau Book", Arial, sans-serif'
+    const labelWeight = config.labelWeight || '400'
+
+    // Resolve per-element font with fallback to global settings
+    const resolveFont = (fontKey) => {
+      const f = config[fontKey] || {}
+      return {
+        family: f.family || fontFamily,
+        size: f.size || 12,
+        weight: f.weight || labelWeight,
+        color: f.color || '#666666',
+        italic: f.italic || false
+      }
+    }
+
+    // Category axis: tick labels measured in their font at the current breakpoint (rotated
+    // labels by their rotated height), plus the title. categoryLabelBand is the depth of
+    // the tick marks and labels out from the axis line.
+    let categoryMargin = 10
+    let categoryLabelBand = 0
+    const categoryTitleSize = resolveFont('xAxisFont').size + 1
     if (config.xAxisShow !== false) {
+      // d3 draws labels past the tick (6px) and its padding (3px)
+      categoryLabelBand = config.xAxisShowTickMarks ? 9 : 3
       if (config.xAxisShowLabels !== false) {
-        const xRotation = Math.abs(config.xAxisRotation || 0)
-        marginBottom = xRotation === 0 ? 30 : xRotation <= 45 ? 50 : 70
-      } else {
-        marginBottom = 15
+        const labelFont = resolveFont('xAxisLabelFont')
+        const labels = getSeriesMembers(data, config.dimension)
+        if (config.topNEnabled && config.topNShowOthers !== false) labels.push(config.topNOthersLabel || 'Others')
+        const labelWidth = measureTextWidth(labels, labelFont)
+        const angle = isHorizontal ? 0 : Math.abs(config.xAxisRotation || 0) * Math.PI / 180
+        const labelDepth = isHorizontal ? labelWidth
+          : labelWidth * Math.sin(angle) + labelFont.size * Math.cos(angle)
+        // Long labels take at most 40% of the chart
+        categoryLabelBand = Math.min((isHorizontal ? width : height) * 0.4, categoryLabelBand + labelDepth)
       }
-      if (config.xAxisShowTitle !== false) marginBottom += 25
+      categoryMargin = categoryLabelBand + 6
+      if (config.xAxisShowTitle !== false) categoryMargin += categoryTitleSize + 4
     }
 
-    // Left margin: y-axis labels + title
-    let marginLeft = 10
+    // Left value axis: y-axis labels + title
+    let leftValueMargin = 10
     if (config.yAxisLeftShow !== false) {
       if (config.yAxisLeftShowLabels !== false) {
-        marginLeft = Math.max(60, Math.min(100, baseMargin * 1.4))
+        leftValueMargin = isHorizontal ? 30 : Math.max(60, Math.min(100, baseMargin * 1.4))
       } else {
-        marginLeft = 15
+        leftValueMargin = 15
       }
-      if (config.yAxisLeftShowTitle !== false) marginLeft += 30
+      if (config.yAxisLeftShowTitle !== false) leftValueMargin += isHorizontal ? 25 : 30
     }
 
-    // Right margin: right y-axis + title (dual mode only)
-    const isSharedAxisMode = config.axisMode === 'shared'
-    let marginRight = 10
+    // Right value axis: right y-axis + title (dual mode only; Pareto and 100% stacked bars always keep both axes)
+    let rightValueMargin = 10
     if (!isSharedAxisMode && config.yAxisRightShow !== false) {
       if (config.yAxisRightShowLabels !== false) {
-        marginRight = Math.max(50, Math.min(80, baseMargin * 1.1))
+        rightValueMargin = isHorizontal ? 25 : Math.max(50, Math.min(80, baseMargin * 1.1))
       } else {
-        marginRight = 15
+        rightValueMargin = 15
       }
-      if (config.yAxisRightShowTitle !== false) marginRight += 25
+      if (config.yAxisRightShowTitle !== false) rightValueMargin += 25
     }
 
-    const margin = {
+    const margin = isHorizontal ? {
+      top: Math.max(config.margins?.top || 20, rightValueMargin),
+      right: 20,
+      bottom: leftValueMargin,
+      left: categoryMargin
+    } : {
       top: config.margins?.top || 20,
-      right: marginRight,
-      bottom: marginBottom,
-      left: marginLeft
+      right: rightValueMargin,
+      bottom: categoryMargin,
+      left: leftValueMargin
     }
 
     const chartWidth = width - margin.left - margin.right
     const chartHeight = height - margin.top - margin.bottom
-
-    // Typography config
-    const fontFamily = config.fontFamily || '"Tableau Book", Arial, sans-serif'
-    const labelWeight = config.labelWeight || '400'
-
-    // Resolve per-element font with fallback to global settings
-    const resolveFont = (fontKey) => {
-      const f = config[fontKey] || {}
-      return {
-        family: f.family || fontFamily,
-        size: f.size || 12,
-        weight: f.weight || labelWeight,
-        color: f.color || '#666666',
-        italic: f.italic || false
-      }
-    }
+    // Pixel lengths of the category and value axes
+    const categoryLength = isHorizontal ? chartHeight : chartWidth
+    const valueLength = isHorizontal ? chartWidth : chartHeight
+    // Chart position of a point given along the category and value axes (and, as the
+    // swap is its own inverse, category and value position of a chart position)
+    const toXY = (c, v) => isHorizontal ? [v, c] : [c, v]
 
     // Create SVG
     const svg = d3.select(svgRef.current)
@@ -92,24 +137,60 @@ function ComboChart({ data, columns, config }) {
       .style('background', Config.themes[config.theme]?.backgroundColor || '#fff')
       .style('font-family', fontFamily)
 
-    const g = svg.append('g')
+    const g = svg.selectAll(':scope > .chart-root')
+      .data([null])
+      .join('g')
+      .attr('class', 'chart-root')
       .attr('transform', `translate(${margin.left},${margin.top})`)
+    const marks = g.selectAll(':scope > .marks')
+      .data([null])
+      .join('g')
+      .attr('class', 'marks')
+    const [barLayer, barLabelLayer, lineLayer] = ['bars', 'bar-labels', 'lines'].map(name =>
+      marks.selectAll(`:scope > .${name}`).data([name]).join('g').attr('class', name))
+
+    // Bars are clipped to the plot area (values past a fixed axis min/max)
+    svg.append('defs')
+      .append('clipPath')
+      .attr('id', 'plot-clip')
+      .append('rect')
+      .attr('width', chartWidth)
+      .attr('height', chartHeight)
+    barLayer.attr('clip-path', 'url(#plot-clip)')
+
+    // Only data changes animate; the first render plays the intro, style-only changes are instant
+    const previous = renderedRef.current
+    const mappingKeys = ['dimension', 'seriesDimension', 'barMeasures', 'lineMeasures', 'measureNameRoles']
+    const dataChanged = !previous || previous.data !== data || previous.columns !== columns ||
+      mappingKeys.some(k => JSON.stringify(previous.config[k]) !== JSON.stringify(config[k]))
+    const isFirstRender = !previous
+    renderedRef.current = { data, columns, config }
+    const duration = config.animationEnabled && dataChanged ? config.animationDuration : 0
 
     // Extract field names from config (encoding-based mappings only, no fallbacks)
     const dimensionField = config.dimension
-    const bar1Field = config.bar1Measure
-    const bar2Field = config.bar2Measure
-    const lineField = config.lineMeasure
+    // Optional Series/Color dimension splits each bar measure into one sub-bar per member
+    // Waterfall, overlap and target styles draw a fixed number of bar measures, unsplit
+    const isWaterfall = config.barStyle === 'waterfall'
+    const seriesMembers = getBarStyleSeriesLimit(config) ? [] : getSeriesMembers(data, config.seriesDimension)
+    const seriesField = seriesMembers.length > 0 ? config.seriesDimension : ''
+    const barSeries = getDrawnBarSeries(config, seriesMembers)
+    const barKeys = barSeries.map(s => s.key)
+    const barParentKeys = [...new Set(barSeries.map(s => s.parent))]
+    // Each measure is drawn with its own mark type: bar series above, line/area/step/dots series here
+    const lineSeries = getDrawnLineSeries(config)
 
     // Validate: need at least Category and one measure to render
     const hasDimension = !!dimensionField
-    const hasMeasure = !!(bar1Field || bar2Field || lineField)
+    const hasMeasure = barSeries.length > 0 || lineSeries.length > 0
 
     if (!hasDimension || !hasMeasure) {
       const missingParts = []
       if (!hasDimension) missingParts.push('a Category dimension')
       if (!hasMeasure) missingParts.push('at least one measure')
 
+      g.remove()
+      renderedRef.current = null
       svg.append('text')
         .attr('x', width / 2)
         .attr('y', height / 2 - 10)
@@ -127,22 +208,127 @@ function ComboChart({ data, columns, config }) {
       return
     }
 
-    // Prepare data
-    const chartData = data.map(d => ({
-      category: d[dimensionField]?.formattedValue || d[dimensionField]?.value,
-      bar1: bar1Field ? (parseFloat(d[bar1Field]?.value) || 0) : 0,
-      bar2: bar2Field ? (parseFloat(d[bar2Field]?.value) || 0) : 0,
-      line: lineField ? (parseFloat(d[lineField]?.value) || 0) : 0
-    }))
+    // How each series combines several rows of one category (and values within a bin).
+    // Split bars use their bar measure's setting.
+    const aggregations = {}
+    barSeries.forEach(s => { aggregations[s.key] = aggregations[s.parent] = config[s.parent + 'Aggregation'] || 'sum' })
+    lineSeries.forEach(s => { aggregations[s.key] = config[s.key + 'Aggregation'] || 'sum' })
+
+    // Prepare data (one row per category, one property per drawn series key)
+    let chartData = buildChartData(data, dimensionField, barSeries, lineSeries, seriesField, aggregations)
+
+    // X axis mode: 'auto' puts date dimensions on a continuous time scale and
+    // numeric dimensions on a linear scale; anything else is a category axis
+    const dimensionColumn = columns?.find(c => c.fieldName === dimensionField)
+    const dimensionType = dimensionColumn?.dataType
+    // Auto puts dates on a time axis; numeric dimensions (often discrete date parts such as
+    // YEAR(Order Date)) stay categories unless the Numeric axis type is chosen
+    const xAxisType = config.xAxisType || 'auto'
+    let xMode = xAxisType !== 'auto' ? xAxisType
+      : dimensionType === 'date' || dimensionType === 'date-time' ? 'time'
+      : 'category'
+
+    // Continuous axes keep only rows with a usable position, in ascending order;
+    // fall back to a category axis when none parse
+    if (xMode === 'time') {
+      chartData.forEach(d => { d.date = parseDateValue(d.categoryValue) })
+      const dated = chartData.filter(d => d.date).sort((a, b) => a.date - b.date)
+      if (dated.length > 0) chartData = dated
+      else xMode = 'category'
+    } else if (xMode === 'linear') {
+      chartData.forEach(d => { d.x = parseFloat(d.categoryValue) })
+      const numbered = chartData.filter(d => !isNaN(d.x)).sort((a, b) => a.x - b.x)
+      if (numbered.length > 0) chartData = numbered
+      else xMode = 'category'
+    }
+    const isTimeAxis = xMode === 'time'
+
+    // Histogram binning on a linear axis: aggregate every series per bin
+    const binning = xMode === 'linear' ? config.xAxisBinning || 'none' : 'none'
+    if (binning !== 'none') {
+      const binFormat = getFormatter(getFormatOpts(config, 'xAxis')) || d3.format(',~g')
+      const binKeys = [...new Set([...barKeys, ...barParentKeys, ...lineSeries.map(s => s.key)])]
+      chartData = binChartData(chartData, binKeys, {
+        mode: binning,
+        width: config.xAxisBinWidth,
+        count: config.xAxisBinCount,
+        format: binFormat,
+        aggregations
+      })
+    }
+
+    // Top N (category axis only): keep the largest categories and fold the rest into Others.
+    // Bars are summed, so the split keys and their measure totals are both included
+    if (xMode === 'category' && config.topNEnabled) {
+      chartData = applyTopN(chartData, {
+        count: config.topN,
+        measure: resolveSeriesMeasure(config, config.topNMeasure),
+        barKeys: [...new Set([...barParentKeys, ...barKeys])],
+        lineKeys: lineSeries.map(s => s.key),
+        lineAggregation: config.topNLineAggregation,
+        weightMeasure: config.topNWeightMeasure,
+        totalKeys: barParentKeys,
+        othersLabel: config.topNOthersLabel || 'Others',
+        showOthers: config.topNShowOthers !== false
+      })
+    }
+
+    // Pareto (category axis with bars): sorted descending by the Pareto measure,
+    // with its cumulative % drawn as an extra line on the right axis
+    const isPareto = !!config.paretoEnabled && !isWaterfall && xMode === 'category' && barSeries.length > 0
+    const paretoMeasure = config.paretoMeasure || 'barTotal'
+
+    // Apply x-axis sort order (category axis only; continuous axes are always ascending).
+    // Bar totals use the measure rows, which hold the sum over Series/Color members
+    if (xMode === 'category') {
+      chartData = sortCategories(chartData, isPareto ? 'measure' : config.xAxisSort || 'default', {
+        measure: isPareto ? paretoMeasure : resolveSeriesMeasure(config, config.xAxisSortMeasure),
+        direction: isPareto ? 'desc' : config.xAxisSortDirection,
+        barKeys: barParentKeys,
+        manualOrder: config.xAxisManualOrder
+      })
+    }
+
+    // Missing values: each series resolves nulls by its own mode (split bars follow their bar
+    // measure, and hide a category only when all of its members are missing)
+    const nullModes = {}
+    const nullGroups = {}
+    barSeries.forEach(s => {
+      nullModes[s.key] = config[s.parent + 'NullMode'] || 'zero'
+      nullGroups[s.key] = s.parent
+    })
+    lineSeries.forEach(s => { nullModes[s.key] = config[s.key + 'NullMode'] || 'zero' })
+    chartData = applyNullHandling(chartData, nullModes, nullGroups)
+
+    const paretoSeries = isPareto ? getParetoSeries(config, lineSeries.length) : null
+    if (paretoSeries) {
+      chartData = addCumulativePercent(chartData, PARETO_KEY, paretoMeasure, barParentKeys)
+      lineSeries.push(paretoSeries)
+    }
+
+    // Waterfall: each bar floats from the running total before it; subtotal categories
+    // (and the optional total bar, category axis only) span from zero to the running total
+    if (isWaterfall && barSeries.length > 0) {
+      chartData = buildWaterfall(chartData, barKeys[0], {
+        subtotals: config.waterfallSubtotals,
+        firstIsTotal: !!config.waterfallFirstIsTotal,
+        totalLabel: xMode === 'category' && config.waterfallShowTotal !== false
+          ? config.waterfallTotalLabel || 'Total'
+          : ''
+      })
+    }
 
-    // Apply x-axis sort order
-    const xSort = config.xAxisSort || 'default'
-    if (xSort === 'asc') {
-      chartData.sort((a, b) => String(a.category).localeCompare(String(b.category)))
-    } else if (xSort === 'desc') {
-      chartData.sort((a, b) => String(b.category).localeCompare(String(a.category)))
-    } else if (xSort === 'reverse') {
-      chartData.reverse()
+    if (chartData.length === 0) {
+      g.remove()
+      renderedRef.current = null
+      svg.append('text')
+        .attr('x', width / 2)
+        .attr('y', height / 2)
+        .attr('text-anchor', 'middle')
+        .attr('font-size', '14px')
+        .attr('fill', '#666')
+        .text('No categories left to display')
+      return
     }
 
     // Get easing function
@@ -157,463 +343,989 @@ function ComboChart({ data, columns, config }) {
     }
     const easing = easingFunctions[config.animationEasing] || d3.easeCubicOut
 
-    // X Scale
-    const x0 = d3.scaleBand()
-      .domain(chartData.map(d => d.category))
-      .range([0, chartWidth])
-      .padding(config.barPadding)
+    // X Scale: band scale over categories, time scale over dates or linear scale over numbers.
+    // Marks are placed through xCenter/xLeft and sized by bandWidth so all modes share the drawing code.
+    let xScale, xCenter, bandWidth, timeGrain, xTickInterval, xTickValues, xTickFormat
+    // Minimum pixels per x tick, wider once the breakpoint thins out ticks
+    // (stacked label rows of a horizontal chart need less room than side by side labels)
+    const xTickSpacing = isHorizontal ? (thinXTicks ? 40 : 20) : thinXTicks ? 140 : 80
+    if (isTimeAxis) {
+      const dates = chartData.map(d => d.date)
+      timeGrain = timeGrains[config.xAxisTimeGrain] ? config.xAxisTimeGrain : inferTimeGrain(dates)
+      const { interval } = timeGrains[timeGrain]
+
+      // Pad the domain by half a period each side so the first and last bars fit
+      const first = dates[0]
+      const last = dates[dates.length - 1]
+      const halfFirst = (interval.offset(first, 1) - first) / 2
+      const halfLast = (interval.offset(last, 1) - last) / 2
+      const domain = [new Date(+first - halfFirst), new Date(+last + halfLast)]
+
+      xScale = d3.scaleTime().domain(domain).range([0, categoryLength])
+      xCenter = d => xScale(d.date)
+      // One grain period, less the same fraction of padding a band scale would leave
+      bandWidth = Math.max(1, (xScale(interval.offset(first, 1)) - xScale(first)) * (1 - config.barPadding))
+      xTickInterval = getTimeTickInterval(timeGrain, domain, Math.floor(categoryLength / xTickSpacing))
+    } else if (xMode === 'linear') {
+      const values = chartData.map(d => d.x)
+      // Bars are one bin wide, or as wide as the smallest gap between values
+      let step = binning !== 'none' ? chartData[0].x1 - chartData[0].x0 : Infinity
+      if (binning === 'none') {
+        for (let i = 1; i < values.length; i++) {
+          if (values[i] > values[i - 1]) step = Math.min(step, values[i] - values[i - 1])
+        }
+      }
+      if (!isFinite(step) || step <= 0) step = 1
+
+      xScale = d3.scaleLinear()
+        .domain([values[0] - step / 2, values[values.length - 1] + step / 2])
+        .range([0, categoryLength])
+      xCenter = d => xScale(d.x)
+      bandWidth = Math.max(1, (xScale(step) - xScale(0)) * (1 - config.barPadding))
+
+      // Binned: tick on the bin edges while they fit
+      const maxTicks = Math.max(2, Math.floor(categoryLength / xTickSpacing))
+      if (binning !== 'none' && chartData.length + 1 <= maxTicks) {
+        xTickValues = [...chartData.map(d => d.x0), chartData[chartData.length - 1].x1]
+      } else if (binning === 'none' && values.every(Number.isInteger)) {
+        // Whole numbers (years, codes) tick on whole numbers only, without decimals;
+        // four-digit values such as years also skip the thousands separator
+        xTickValues = xScale.ticks(maxTicks).filter(Number.isInteger)
+        xTickFormat = d3.format(d3.max(values, Math.abs) < 10000 ? 'd' : ',d')
+      } else {
+        xTickInterval = maxTicks
+      }
+    } else {
+      xScale = d3.scaleBand()
+        .domain(chartData.map(d => d.category))
+        .range([0, categoryLength])
+        .padding(config.barPadding)
+      xCenter = d => xScale(d.category) + xScale.bandwidth() / 2
+      bandWidth = xScale.bandwidth()
+
+      // Thinned: label every Nth category
+      if (thinXTicks) {
+        const every = Math.ceil(chartData.length / Math.max(2, Math.floor(categoryLength / xTickSpacing)))
+        if (every > 1) xTickValues = xScale.domain().filter((c, i) => i % every === 0)
+      }
+    }
+    const xLeft = d => xCenter(d) - bandWidth / 2
+
+    // Axis generator for the x scale (calendar-aware ticks on a time axis),
+    // along the bottom or, in a horizontal chart, down the left side
+    const categoryAxis = () => {
+      const axis = isHorizontal ? d3.axisLeft(xScale) : d3.axisBottom(xScale)
+      if (isTimeAxis) axis.ticks(xTickInterval).tickFormat(timeGrains[timeGrain].format)
+      else if (xTickValues) axis.tickValues(xTickValues)
+      else if (xTickInterval) axis.ticks(xTickInterval)
+      if (xTickFormat) axis.tickFormat(xTickFormat)
+      return axis
+    }
+
+    // Fewer y ticks once the breakpoint thins them out (undefined keeps the d3 default)
+    const yTickCount = thinYTicks ? Math.max(2, Math.floor(valueLength / 50)) : undefined
 
     // Determine which series are active
-    const hasBar1 = !!bar1Field
-    const hasBar2 = !!bar2Field
-    const hasLine = !!lineField
-
-    // For grouped bars, create inner scale (only active bars)
-    const activeBars = []
-    if (hasBar1) activeBars.push('bar1')
-    if (hasBar2) activeBars.push('bar2')
+    const hasBars = barSeries.length > 0
 
+    // Lines can be assigned to either axis in dual mode; shared mode puts everything on the left
+    const isSharedAxis = isSharedAxisMode
+    // 100% stacked bars give the left axis to percent of total, so all lines move to the right.
+    // Pareto gives the right axis to the cumulative %, so the other lines move to the left
+    // (its bars then stack as plain values).
+    const isPercentStack = config.barStyle === 'stacked100' && !paretoSeries
+    const isStacked = config.barStyle === 'stacked' || config.barStyle === 'stacked100'
+    const onLeft = s => paretoSeries ? s !== paretoSeries : !isPercentStack && s.style.axis === 'left'
+    const leftLines = isSharedAxis ? [] : lineSeries.filter(onLeft)
+    const rightLines = isSharedAxis ? lineSeries : lineSeries.filter(s => !onLeft(s))
+    // Grouped bars can take either axis in dual mode too; the other bar styles share one scale on the left
+    const rightBars = !isSharedAxis && !paretoSeries && config.barStyle === 'grouped'
+      ? barSeries.filter(s => s.style.axis === 'right')
+      : []
+    const leftBars = barSeries.filter(s => !rightBars.includes(s))
+
+    // For grouped bars, create inner scale (one slot per active bar series)
     const x1 = d3.scaleBand()
-      .domain(activeBars.length > 0 ? activeBars : ['bar1'])
-      .range([0, x0.bandwidth()])
+      .domain(hasBars ? barKeys : ['bar1'])
+      .range([0, bandWidth])
       .padding(config.barGap / 100)
 
+    // Stack layout for stacked bars: one layer per series, positive values stacked up from zero
+    // and negative values down from it. 100% stacks use each value's share of the row's absolute total.
+    const stackTotals = chartData.map(d => d3.sum(barKeys, key => Math.abs(d[key] ?? 0)))
+    const stackShare = (d, key, i) => stackTotals[i] ? (d[key] ?? 0) / stackTotals[i] * 100 : 0
+    const barStack = hasBars && isStacked
+      ? d3.stack()
+        .keys(barKeys)
+        .value(isPercentStack ? stackShare : (d, key) => d[key] ?? 0)
+        .offset(d3.stackOffsetDiverging)(chartData)
+      : []
+
     // Y Scales
     let yLeftDomain, yRightDomain
 
-    // Calculate domains with include zero option
-    const bar1Values = hasBar1 ? chartData.map(d => d.bar1) : [0]
-    const bar2Values = hasBar2 ? chartData.map(d => d.bar2) : [0]
-    const lineValues = hasLine ? chartData.map(d => d.line) : [0]
-
-    const bar1Max = d3.max(bar1Values)
-    const bar2Max = d3.max(bar2Values)
-    const bar1Min = d3.min(bar1Values)
-    const bar2Min = d3.min(bar2Values)
-    const lineMax = d3.max(lineValues)
-    const lineMin = d3.min(lineValues)
-
-    if (config.barStyle === 'stacked') {
-      const stackedMax = d3.max(chartData, d => (hasBar1 ? d.bar1 : 0) + (hasBar2 ? d.bar2 : 0))
-      const autoMin = config.yAxisLeftIncludeZero !== false ? 0 : Math.min(bar1Min, bar2Min) * 0.9
-      yLeftDomain = [
-        config.yAxisLeftMin !== null ? config.yAxisLeftMin : autoMin,
-        config.yAxisLeftMax !== null ? config.yAxisLeftMax : (stackedMax || 1) * 1.1
-      ]
+    // Calculate domains from the values on each axis, with the include zero option
+    const seriesValues = (keys) => chartData.flatMap(d => keys.map(key => d[key]))
+    // Waterfall bars span running totals, so those set the extent rather than the step values
+    const barValues = leftBars.length === 0 ? []
+      : isWaterfall ? chartData.flatMap(d => d.waterfall ? [d.waterfall.start, d.waterfall.end] : [])
+        : seriesValues(leftBars.map(s => s.key))
+    const leftLineValues = seriesValues(leftLines.map(s => s.key))
+    const rightKeys = [...rightBars, ...rightLines].map(s => s.key)
+    const rightValues = seriesValues(rightKeys)
+    const allLineValues = seriesValues(lineSeries.map(s => s.key))
+
+    // Stacks span their layer ends rather than the raw values
+    const leftBarValues = isStacked ? barStack.flat().flat() : barValues
+    // Saved axis min/max override the automatic domain
+    const withLimits = ([autoMin, autoMax], side) => [
+      config['yAxis' + side + 'Min'] ?? autoMin,
+      config['yAxis' + side + 'Max'] ?? autoMax
+    ]
+    const includeZero = side => config['yAxis' + side + 'IncludeZero'] !== false
+
+    // A right axis on the left domain (shared mode, synced axes) draws its series on that
+    // domain, so synced right axis values count towards it
+    const isRightSynced = isSharedAxis || (config.syncDualAxis && !paretoSeries && !isPercentStack)
+    const leftDomainValues = [...leftBarValues, ...leftLineValues, ...(isRightSynced && !isSharedAxis ? rightValues : [])]
+
+    if (isPercentStack) {
+      const percentMin = Math.min(0, d3.min(leftBarValues) ?? 0)
+      const percentMax = Math.max(0, d3.max(leftBarValues) ?? 0) || 100
+      yLeftDomain = withLimits([percentMin, percentMax], 'Left')
     } else {
-      const barMax = Math.max(bar1Max, bar2Max) || 1
-      const barMin = Math.min(bar1Min, bar2Min)
-      const autoMin = config.yAxisLeftIncludeZero !== false ? 0 : barMin * 0.9
-      yLeftDomain = [
-        config.yAxisLeftMin !== null ? config.yAxisLeftMin : autoMin,
-        config.yAxisLeftMax !== null ? config.yAxisLeftMax : barMax * 1.1
-      ]
+      // Waterfall running totals always keep zero in view, as the first and total bars start there
+      yLeftDomain = withLimits(autoDomain(leftDomainValues, isWaterfall || includeZero('Left')), 'Left')
     }
+    yRightDomain = withLimits(autoDomain(rightValues, includeZero('Right')), 'Right')
 
-    const autoRightMin = config.yAxisRightIncludeZero !== false ? 0 : lineMin * 0.9
-    yRightDomain = [
-      config.yAxisRightMin !== null ? config.yAxisRightMin : autoRightMin,
-      config.yAxisRightMax !== null ? config.yAxisRightMax : (lineMax || 1) * 1.1
-    ]
+    // Pareto: the right axis is the cumulative percent
+    if (paretoSeries) yRightDomain = [0, 100]
 
     // Shared axis mode: combine all measures into one scale
-    const isSharedAxis = isSharedAxisMode
     if (isSharedAxis) {
-      const combinedMax = Math.max(bar1Max, bar2Max, lineMax) * 1.1
-      const combinedMin = config.yAxisLeftIncludeZero !== false ? 0 : Math.min(bar1Min, bar2Min, lineMin) * 0.9
-      yLeftDomain = [
-        config.yAxisLeftMin !== null ? config.yAxisLeftMin : combinedMin,
-        config.yAxisLeftMax !== null ? config.yAxisLeftMax : combinedMax
-      ]
+      yLeftDomain = withLimits(autoDomain([...leftBarValues, ...allLineValues], includeZero('Left')), 'Left')
+    }
+
+    // Scale type per value axis ('linear', 'log', 'symlog' or 'sqrt'). Percent axes stay
+    // linear; a right axis on the left domain (shared mode, synced axes) takes the left type.
+    const leftScaleType = isPercentStack ? 'linear' : config.yAxisLeftScale || 'linear'
+    const rightScaleType = isRightSynced ? leftScaleType
+      : paretoSeries ? 'linear' : config.yAxisRightScale || 'linear'
+
+    // Log axes start at the smallest positive value rather than zero
+    const positiveMin = values => d3.min(values, v => v > 0 ? v : undefined)
+    if (leftScaleType === 'log') {
+      const leftValues = isSharedAxis ? [...leftBarValues, ...allLineValues] : leftDomainValues
+      yLeftDomain = toLogDomain(yLeftDomain, positiveMin(leftValues))
     }
+    if (rightScaleType === 'log') yRightDomain = toLogDomain(yRightDomain, positiveMin(rightValues))
 
-    const yLeft = d3.scaleLinear()
-      .domain(yLeftDomain)
-      .nice()
-      .range([chartHeight, 0])
+    // Value scales run up from the bottom, or right from the left edge in a horizontal chart
+    const valueRange = (endFraction = 1) => isHorizontal
+      ? [0, chartWidth * endFraction]
+      : [chartHeight, chartHeight * (1 - endFraction)]
+    const yLeft = niceValueScale(createValueScale(leftScaleType).domain(yLeftDomain), leftScaleType)
+      .range(valueRange())
 
     // In shared mode or syncDualAxis, right axis uses left scale domain
-    const yRight = d3.scaleLinear()
-      .domain((isSharedAxis || config.syncDualAxis) ? yLeftDomain : yRightDomain)
-      .nice()
+    const yRight = niceValueScale(createValueScale(rightScaleType).domain(isRightSynced ? yLeftDomain : yRightDomain), rightScaleType)
 
     // Line vertical position: compress yRight range to position line in a portion of the chart
-    const linePos = config.lineVerticalPosition || 'auto'
+    const linePos = paretoSeries ? 'auto' : config.lineVerticalPosition || 'auto'
     if (linePos !== 'auto') {
       const positionMap = { top: 0.25, upper: 0.40, middle: 0.55, lower: 0.70, bottom: 0.85 }
       const topFraction = positionMap[linePos] || 0
-      yRight.range([chartHeight, chartHeight * topFraction])
+      yRight.range(valueRange(1 - topFraction))
     } else {
-      yRight.range([chartHeight, 0])
+      yRight.range(valueRange())
     }
 
-    // Draw grid
-    if (config.gridHorizontal || config.gridVertical) {
-      const gridGroup = g.append('g').attr('class', 'grid')
+    // Align zero (or a reference value) across the dual axes: the nice domains are widened
+    // so it falls on the same row. Needs linear axes, the right one on the full chart range.
+    const alignValue = config.yAxisAlign === 'zero' ? 0
+      : config.yAxisAlign === 'value' ? Number(config.yAxisAlignValue) || 0
+        : null
+    const canAlign = !isSharedAxis && rightKeys.length > 0 && linePos === 'auto' &&
+      leftScaleType === 'linear' && rightScaleType === 'linear'
+    if (alignValue !== null && canAlign) {
+      const [leftDomain, rightDomain] = alignDomains(yLeft.domain(), yRight.domain(), alignValue)
+      yLeft.domain(leftDomain)
+      yRight.domain(rightDomain)
+    }
 
-      if (config.gridHorizontal) {
-        const hGrid = gridGroup.append('g')
-          .call(d3.axisLeft(yLeft)
-            .tickSize(-chartWidth)
-            .tickFormat(''))
-        hGrid.selectAll('line')
-          .style('stroke', config.gridColor)
-          .style('stroke-opacity', config.gridOpacity)
-        hGrid.selectAll('text').remove()
-        hGrid.select('.domain').remove()
+    // Major and minor tick values per value axis, shared by the axis and the value gridlines.
+    // Explicit values or a fixed interval replace the automatic ticks; thinning caps the count.
+    const valueTicks = (prefix, scale, type) => {
+      const count = config[prefix + 'TickCount']
+      const options = {
+        count: thinYTicks ? Math.min(yTickCount, count || Infinity) : count || undefined,
+        interval: config[prefix + 'TickInterval'],
+        values: config[prefix + 'TickValues']
+      }
+      const major = getValueTicks(scale, type, options)
+      return {
+        count: options.count,
+        major,
+        minor: getMinorTicks(scale, type, major, config[prefix + 'MinorTicks']),
+        // Custom ticks are off the scale's tick step, so they get a plain number format;
+        // symlog ticks are powers of ten, so they default to SI units (1k, 1M)
+        defaultFormat: hasCustomTicks(type, options) ? d3.format(',~f')
+          : type === 'symlog' ? d3.format('~s') : null
+      }
+    }
+    const leftTicks = valueTicks('yAxisLeft', yLeft, leftScaleType)
+    const rightTicks = valueTicks('yAxisRight', yRight, rightScaleType)
+
+    // Renderer: past the mark-count threshold bars, lines, points and labels are drawn
+    // on a canvas over the SVG; axes, grid and legend stay SVG/DOM either way
+    const markCount = chartData.length * (barSeries.length + lineSeries.length)
+    const useCanvas = !!canvasRef.current && (config.renderer === 'canvas' ||
+      (config.renderer !== 'svg' && markCount > (config.canvasThreshold || 3000)))
+    let ctx = null
+    if (useCanvas) {
+      ctx = setupCanvas(canvasRef.current, width, height)
+      ctx.translate(margin.left, margin.top)
+      marks.selectAll(':scope > g > *').remove()
+    }
+    // Bar rectangles per row, kept for canvas hit-testing
+    const barRects = chartData.map(() => [])
+
+    // Draw grid (horizontal and vertical as seen on screen, so a horizontal chart
+    // takes its value gridlines from the vertical lines setting)
+    const valueGrid = isHorizontal ? config.gridVertical : config.gridHorizontal
+    const categoryGrid = isHorizontal ? config.gridHorizontal : config.gridVertical
+    if (valueGrid || categoryGrid) {
+      const gridGroup = g.insert('g', '.marks').attr('class', 'grid')
+
+      if (valueGrid) {
+        // Minor gridlines (left axis minor ticks) at half the opacity, under the major ones
+        const valueGridTicks = [
+          ...(config.gridMinor !== false ? [[leftTicks.minor, config.gridOpacity / 2]] : []),
+          [leftTicks.major, config.gridOpacity]
+        ]
+        valueGridTicks.forEach(([tickValues, opacity]) => {
+          const valueGridGroup = gridGroup.append('g')
+            .attr('transform', isHorizontal ? `translate(0,${chartHeight})` : null)
+            .call((isHorizontal ? d3.axisBottom(yLeft) : d3.axisLeft(yLeft))
+              .tickValues(tickValues)
+              .tickSize(-categoryLength)
+              .tickFormat(''))
+          valueGridGroup.selectAll('line')
+            .style('stroke', config.gridColor)
+            .style('stroke-opacity', opacity)
+          valueGridGroup.selectAll('text').remove()
+          valueGridGroup.select('.domain').remove()
+        })
       }
 
-      if (config.gridVertical) {
-        const vGrid = gridGroup.append('g')
-          .attr('transform', `translate(0,${chartHeight})`)
-          .call(d3.axisBottom(x0)
-            .tickSize(-chartHeight)
+      if (categoryGrid) {
+        const categoryGridGroup = gridGroup.append('g')
+          .attr('transform', isHorizontal ? null : `translate(0,${chartHeight})`)
+          .call(categoryAxis()
+            .tickSize(-valueLength)
             .tickFormat(''))
-        vGrid.selectAll('line')
+        categoryGridGroup.selectAll('line')
           .style('stroke', config.gridColor)
           .style('stroke-opacity', config.gridOpacity)
-        vGrid.selectAll('text').remove()
-        vGrid.select('.domain').remove()
+        categoryGridGroup.selectAll('text').remove()
+        categoryGridGroup.select('.domain').remove()
       }
     }
 
-    // Draw bars (only active series)
-    if ((hasBar1 || hasBar2) && config.barStyle === 'grouped') {
-      // Grouped bars
-      const barGroup = g.selectAll('.bar-group')
-        .data(chartData)
-        .enter().append('g')
-        .attr('class', 'bar-group')
-        .attr('transform', d => `translate(${x0(d.category)},0)`)
-
-      // Bar 1
-      let bar1Rects
-      if (hasBar1) {
-        bar1Rects = barGroup.append('rect')
-          .attr('class', 'bar1')
-          .attr('x', x1('bar1'))
-          .attr('width', x1.bandwidth())
-          .attr('y', chartHeight)
-          .attr('height', 0)
-          .attr('fill', config.bar1Color)
-          .attr('opacity', config.bar1Opacity)
-          .attr('rx', config.bar1CornerRadius)
-          .attr('ry', config.bar1CornerRadius)
-
-        if (config.bar1ShowBorder) {
-          bar1Rects.attr('stroke', config.bar1BorderColor)
-            .attr('stroke-width', config.bar1BorderWidth)
-        }
-
-        bar1Rects.transition()
-          .duration(config.animationEnabled ? config.animationDuration : 0)
-          .delay((d, i) => config.animationEnabled ? i * 20 : 0)
-          .ease(easing)
-          .attr('y', d => yLeft(d.bar1))
-          .attr('height', d => chartHeight - yLeft(d.bar1))
+    // Bar geometry: one mark per series and row, shared by the SVG and canvas renderers.
+    // Grouped bars sit side by side, stacked bars span their stack layer and
+    // waterfall bars float from the running total before them to the one after.
+    // Overlap and target styles compare Bar 1 (actual) with Bar 2 (target): Bar 2 is
+    // a full-width bar behind a narrower Bar 1, or a marker across the band at its value.
+    // Marks are laid out along the category axis (x, width) and the value axis (top is the
+    // value end, bottom the base end); barRect turns them into chart rectangles.
+    const waterfallColors = {
+      increase: config.waterfallIncreaseColor || '#59a14f',
+      decrease: config.waterfallDecreaseColor || '#e15759',
+      total: config.waterfallTotalColor || '#4e79a7'
+    }
+    const isPaired = (config.barStyle === 'overlap' || config.barStyle === 'target') && barSeries.length > 1
+    const isTargetMarker = isPaired && config.barStyle === 'target'
+    const actualRatio = isTargetMarker ? config.barTargetRatio ?? 0.6 : config.barOverlapRatio ?? 0.5
+    const markerThickness = config.barTargetThickness || 3
+    // Bars grow from zero, or from the nearer end of the axis when zero is outside it
+    // (log axes have no zero, so their bars start at the bottom). `base` is also where
+    // bars enter and exit.
+    const zeroOf = scale => {
+      const [min, max] = d3.extent(scale.domain())
+      return scale(Math.max(min, Math.min(0, max)))
+    }
+    const barGeometry = (series, seriesIndex, d, i) => {
+      const scale = rightBars.includes(series) ? yRight : yLeft
+      const base = zeroOf(scale)
+      if (isWaterfall || isStacked) {
+        const [low, high] = d3.extent(isWaterfall ? [d.waterfall.start, d.waterfall.end] : barStack[seriesIndex][i])
+        return { x: xLeft(d), width: bandWidth, top: yLeft(high), bottom: yLeft(low), base }
+      }
+      const top = scale(d[series.key])
+      if (isPaired) {
+        const width = seriesIndex === 0 ? bandWidth * actualRatio : bandWidth
+        const x = xLeft(d) + (bandWidth - width) / 2
+        return isTargetMarker && seriesIndex === 1
+          ? { x, width, top: top - markerThickness / 2, bottom: top + markerThickness / 2, base }
+          : { x, width, top, bottom: base, base }
+      }
+      return { x: xLeft(d) + x1(series.key), width: x1.bandwidth(), top, bottom: base, base }
+    }
+    const barRect = m => {
+      const start = Math.min(m.top, m.bottom)
+      const length = Math.abs(m.bottom - m.top)
+      return isHorizontal
+        ? { x: start, y: m.x, width: length, height: m.width }
+        : { x: m.x, y: start, width: m.width, height: length }
+    }
+    // Enter and exit state: no length, at the bar's base
+    const baseRect = m => barRect({ ...m, top: m.base, bottom: m.base })
+    const rectAttrs = (selection, rectOf) => selection
+      .attr('x', m => rectOf(m).x)
+      .attr('y', m => rectOf(m).y)
+      .attr('width', m => rectOf(m).width)
+      .attr('height', m => rectOf(m).height)
+    // Overlap draws the wide target bar first so the actual bar sits on top of it
+    const drawnBarSeries = isPaired && !isTargetMarker ? [barSeries[1], barSeries[0]] : barSeries
+    const barMarks = !hasBars ? [] : drawnBarSeries.flatMap(series => chartData.flatMap((d, i) => {
+      if (d[series.key] == null) return []
+      const seriesIndex = barSeries.indexOf(series)
+      const isMarker = isTargetMarker && seriesIndex === 1
+      return [{
+        id: `${series.key}|${d.category}`,
+        row: d,
+        series,
+        seriesIndex,
+        rowIndex: i,
+        ...barGeometry(series, seriesIndex, d, i),
+        style: isWaterfall ? { ...series.style, color: waterfallColors[d.waterfall.kind] }
+          : isMarker ? { ...series.style, showBorder: false }
+            : series.style,
+        // Only the top layer of a stack gets corner radius
+        radius: isMarker || (isStacked && seriesIndex !== barSeries.length - 1) ? 0 : series.style.cornerRadius
+      }]
+    }))
+    barMarks.forEach(m => barRects[m.rowIndex].push(m))
+
+    // Bar labels (independent config per bar measure, shared by its Series/Color members).
+    // Stacked labels sit in the middle of their segment; 100% stacks show the share instead of the value
+    const formatPercent = v => d3.format('.1f')(v) + '%'
+    const labelOpts = {}
+    barSeries.forEach(({ parent }) => {
+      if (!config[parent + 'LabelsShow'] || labelOpts[parent]) return
+      labelOpts[parent] = {
+        font: resolveFont(parent + 'LabelFont'),
+        fmt: getFormatter(getFormatOpts(config, parent + 'Labels')) || d3.format(','),
+        position: isStacked ? 'center' : config[parent + 'LabelsPosition'] || 'top',
+        dx: config[parent + 'LabelsOffsetX'] || 0,
+        dy: config[parent + 'LabelsOffsetY'] || 0
       }
+    })
+    const labelMarks = barMarks.filter(m => labelOpts[m.series.parent])
+    const labelText = m => isPercentStack
+      ? formatPercent(stackShare(m.row, m.series.key, m.rowIndex))
+      : labelOpts[m.series.parent].fmt(m.row[m.series.key])
+    // Tooltip notes: 100% stacks give each bar's share; overlap and target styles
+    // give the other bar of the pair and how much of the target is achieved
+    const barNote = m => {
+      if (isPercentStack) return formatPercent(stackShare(m.row, m.series.key, m.rowIndex)) + ' of total'
+      if (!isPaired || config.barCompareTooltip === false) return undefined
+      const other = barSeries[1 - m.seriesIndex].key
+      const otherValue = m.row[other]
+      if (otherValue == null) return undefined
+      const otherFmt = getFormatter(getFormatOpts(config, other + 'Labels')) || d3.format(',.2f')
+      const [actual, target] = [m.row[barSeries[0].key], m.row[barSeries[1].key]]
+      const achieved = target ? ` · ${formatPercent(actual / target * 100)} achieved` : ''
+      return `${getDisplayName(other, fieldNames, config)}: ${otherFmt(otherValue)}${achieved}`
+    }
+    // Label anchor past the bar end ('top'), inside it or in the middle; in a horizontal
+    // chart labels are vertically centred on the bar and aligned along the value axis
+    // Negative bars run the other way from zero, so 'top' and 'inside' flip with them
+    const labelAnchor = m => {
+      const { position } = labelOpts[m.series.parent]
+      if (!isHorizontal || position === 'center') return 'middle'
+      return (position === 'top') !== (m.row[m.series.key] < 0) ? 'start' : 'end'
+    }
+    const labelXY = m => {
+      const { position, dx, dy } = labelOpts[m.series.parent]
+      // +1 when the label goes towards larger values
+      const direction = (position === 'top' ? 1 : -1) * (m.row[m.series.key] < 0 ? -1 : 1)
+      const value = position === 'center' ? m.top + (m.bottom - m.top) / 2
+        : isHorizontal ? m.top + 5 * direction
+          : m.top + (direction > 0 ? -5 : 15)
+      const [x, y] = toXY(m.x + m.width / 2, value)
+      return [x + dx, y + dy]
+    }
+    const labelX = m => labelXY(m)[0]
+    const labelY = m => labelXY(m)[1]
 
-      // Bar 2
-      let bar2Rects
-      if (hasBar2) {
-        bar2Rects = barGroup.append('rect')
-          .attr('class', 'bar2')
-          .attr('x', x1('bar2'))
-          .attr('width', x1.bandwidth())
-          .attr('y', chartHeight)
-          .attr('height', 0)
-          .attr('fill', config.bar2Color)
-          .attr('opacity', config.bar2Opacity)
-          .attr('rx', config.bar2CornerRadius)
-          .attr('ry', config.bar2CornerRadius)
-
-        if (config.bar2ShowBorder) {
-          bar2Rects.attr('stroke', config.bar2BorderColor)
-            .attr('stroke-width', config.bar2BorderWidth)
-        }
+    // Draw bars (only active series)
+    if (hasBars && useCanvas) {
+      // Canvas bars: same geometry as the SVG bars, without animation, clipped to the plot area
+      ctx.save()
+      ctx.beginPath()
+      ctx.rect(0, 0, chartWidth, chartHeight)
+      ctx.clip()
+      barMarks.forEach(m => drawBarRect(ctx, barRect(m), m.style, m.radius))
+      ctx.restore()
+      ctx.textBaseline = isHorizontal ? 'middle' : 'alphabetic'
+      labelMarks.forEach(m => {
+        const { font } = labelOpts[m.series.parent]
+        ctx.font = canvasFont(font)
+        ctx.fillStyle = font.color
+        ctx.textAlign = labelAnchor(m) === 'middle' ? 'center' : labelAnchor(m)
+        ctx.fillText(labelText(m), labelX(m), labelY(m))
+      })
+      ctx.textBaseline = 'alphabetic'
+    } else if (hasBars) {
+      // SVG bars are keyed by series and category so data changes animate from the previous values
+      const rects = barLayer.selectAll('rect.bar')
+        .data(barMarks, m => m.id)
+        .join(
+          enter => enter.append('rect')
+            .call(rectAttrs, baseRect),
+          update => update,
+          exit => exit.transition()
+            .duration(duration)
+            .ease(easing)
+            .call(rectAttrs, baseRect)
+            .remove()
+        )
+        .attr('class', m => `bar ${m.series.key}`)
+        .attr('fill', m => m.style.color)
+        .attr('opacity', m => m.style.opacity)
+        .attr('rx', m => m.radius)
+        .attr('ry', m => m.radius)
+        .attr('stroke', m => m.style.showBorder ? m.style.borderColor : null)
+        .attr('stroke-width', m => m.style.showBorder ? m.style.borderWidth : null)
+        .order()
+
+      rects.transition()
+        .duration(duration)
+        .delay(m => isFirstRender && !isStacked && !isWaterfall ? m.rowIndex * 20 + m.seriesIndex * 50 : 0)
+        .ease(easing)
+        .call(rectAttrs, barRect)
+
+      // Tooltips
+      rects
+        .on('mouseover', config.tooltipShow
+          ? (event, m) => showTooltip(event, m.row, m.series.key, m.series.parent, m.series.member, barNote(m))
+          : null)
+        .on('mouseout', config.tooltipShow ? hideTooltip : null)
+
+      // Labels
+      barLabelLayer.selectAll('text.bar-label')
+        .data(labelMarks, m => m.id)
+        .join(
+          enter => enter.append('text')
+            .attr('x', labelX)
+            .attr('y', labelY)
+            .style('opacity', 0),
+          update => update,
+          exit => exit.remove()
+        )
+        .attr('class', m => `bar-label ${m.series.key}-label`)
+        .attr('text-anchor', labelAnchor)
+        .attr('dominant-baseline', isHorizontal ? 'middle' : null)
+        .attr('font-size', m => labelOpts[m.series.parent].font.size + 'px')
+        .style('font-family', m => labelOpts[m.series.parent].font.family)
+        .style('font-weight', m => labelOpts[m.series.parent].font.weight)
+        .style('font-style', m => labelOpts[m.series.parent].font.italic ? 'italic' : 'normal')
+        .attr('fill', m => labelOpts[m.series.parent].font.color)
+        .text(labelText)
+        .transition()
+        .duration(duration)
+        .ease(easing)
+        .attr('x', labelX)
+        .attr('y', labelY)
+        .style('opacity', 1)
+    } else {
+      barLayer.selectAll('*').remove()
+      barLabelLayer.selectAll('*').remove()
+    }
 
-        bar2Rects.transition()
-          .duration(config.animationEnabled ? config.animationDuration : 0)
-          .delay((d, i) => config.animationEnabled ? i * 20 + 50 : 0)
-          .ease(easing)
-          .attr('y', d => yLeft(d.bar2))
-          .attr('height', d => chartHeight - yLeft(d.bar2))
-      }
+    // Waterfall connectors: from the end of each bar to the start of the next
+    if (hasBars && isWaterfall && config.waterfallConnectors !== false) {
+      const key = barSeries[0].key
+      const steps = chartData.filter(d => d[key] != null)
+      g.insert('g', '.marks')
+        .attr('class', 'waterfall-connectors')
+        .attr('pointer-events', 'none')
+        .selectAll('line')
+        .data(steps.slice(0, -1).map((d, i) => [
+          toXY(xLeft(d) + bandWidth, yLeft(d.waterfall.end)),
+          toXY(xLeft(steps[i + 1]), yLeft(d.waterfall.end))
+        ]))
+        .enter().append('line')
+        .attr('x1', ([from]) => from[0])
+        .attr('y1', ([from]) => from[1])
+        .attr('x2', ([, to]) => to[0])
+        .attr('y2', ([, to]) => to[1])
+        .attr('stroke', config.waterfallConnectorColor || '#999999')
+        .attr('stroke-width', 1)
+        .attr('stroke-dasharray', '3,2')
+        .style('opacity', 0)
+        .transition()
+        .delay(duration)
+        .duration(duration * 0.5)
+        .style('opacity', 1)
+    }
 
-      // Bar 1 labels (independent config)
-      if (config.bar1LabelsShow && hasBar1) {
-        const b1Font = resolveFont('bar1LabelFont')
-        const bar1LabelFmt = getFormatter(getFormatOpts(config, 'bar1Labels'))
-        barGroup.append('text')
-          .attr('class', 'bar1-label')
-          .attr('x', x1('bar1') + x1.bandwidth() / 2 + (config.bar1LabelsOffsetX || 0))
-          .attr('y', d => {
-            const baseY = config.bar1LabelsPosition === 'top' ? yLeft(d.bar1) - 5
-              : config.bar1LabelsPosition === 'center' ? yLeft(d.bar1) + (chartHeight - yLeft(d.bar1)) / 2
-              : yLeft(d.bar1) + 15
-            return baseY + (config.bar1LabelsOffsetY || 0)
-          })
-          .attr('text-anchor', 'middle')
-          .attr('font-size', b1Font.size + 'px')
-          .style('font-family', b1Font.family)
-          .style('font-weight', b1Font.weight)
-          .style('font-style', b1Font.italic ? 'italic' : 'normal')
-          .attr('fill', b1Font.color)
-          .text(d => bar1LabelFmt ? bar1LabelFmt(d.bar1) : d3.format(',')(d.bar1))
-          .style('opacity', 0)
-          .transition()
-          .duration(config.animationEnabled ? config.animationDuration : 0)
-          .style('opacity', 1)
-      }
+    // Draw lines (one path, point set and label set per line, area, step or dots series)
+    // A step holds each value until the next category, down the chart when horizontal
+    const stepCurve = isHorizontal ? d3.curveStepBefore : d3.curveStepAfter
+    const lineCurves = {
+      'linear': d3.curveLinear,
+      'monotone': isHorizontal ? d3.curveMonotoneY : d3.curveMonotoneX,
+      'cardinal': d3.curveCardinal,
+      'step': stepCurve
+    }
+    const dashArrays = { dashed: '8,4', dotted: '2,2' }
+    const shapes = {
+      'circle': d3.symbolCircle,
+      'square': d3.symbolSquare,
+      'diamond': d3.symbolDiamond,
+      'triangle': d3.symbolTriangle
+    }
 
-      // Bar 2 labels (independent config)
-      if (config.bar2LabelsShow && hasBar2) {
-        const b2Font = resolveFont('bar2LabelFont')
-        const bar2LabelFmt = getFormatter(getFormatOpts(config, 'bar2Labels'))
-        barGroup.append('text')
-          .attr('class', 'bar2-label')
-          .attr('x', x1('bar2') + x1.bandwidth() / 2 + (config.bar2LabelsOffsetX || 0))
-          .attr('y', d => {
-            const baseY = config.bar2LabelsPosition === 'top' ? yLeft(d.bar2) - 5
-              : config.bar2LabelsPosition === 'center' ? yLeft(d.bar2) + (chartHeight - yLeft(d.bar2)) / 2
-              : yLeft(d.bar2) + 15
-            return baseY + (config.bar2LabelsOffsetY || 0)
-          })
-          .attr('text-anchor', 'middle')
-          .attr('font-size', b2Font.size + 'px')
-          .style('font-family', b2Font.family)
-          .style('font-weight', b2Font.weight)
-          .style('font-style', b2Font.italic ? 'italic' : 'normal')
-          .attr('fill', b2Font.color)
-          .text(d => bar2LabelFmt ? bar2LabelFmt(d.bar2) : d3.format(',')(d.bar2))
-          .style('opacity', 0)
-          .transition()
-          .duration(config.animationEnabled ? config.animationDuration : 0)
-          .style('opacity', 1)
+    // Dense lines are thinned to about one point per pixel before drawing;
+    // tooltips for them come from the hover layer below, which reads the raw rows
+    const downsampleMode = config.lineDownsample || 'none'
+    const downsampledNotes = {}
+
+    const lineGroups = lineLayer.selectAll(':scope > .line-series')
+      .data(useCanvas ? [] : lineSeries, s => s.key)
+      .join('g')
+      .attr('class', s => `line-series ${s.key}-series`)
+
+    lineSeries.forEach(series => {
+      const { key, style, markType } = series
+      const yScale = leftLines.includes(series) ? yLeft : yRight
+      const dashArray = dashArrays[style.dash] || null
+
+      const drawnData = downsampleMode === 'none' ? chartData
+        : downsampleRows(chartData, xCenter, d => d[key], downsampleMode, Math.max(2, Math.floor(categoryLength)))
+      const rawCount = chartData.filter(d => d[key] != null).length
+      // Missing values left as gaps break the line
+      const definedData = drawnData.filter(d => d[key] != null)
+      if (definedData.length < rawCount) {
+        downsampledNotes[key] = `line downsampled: ${definedData.length.toLocaleString()} of ${rawCount.toLocaleString()} points drawn`
+      }
+      // Chart position of a row's point (a vertical polyline in a horizontal chart)
+      const pointXY = d => toXY(xCenter(d), yScale(d[key]))
+      const curve = markType === 'step' ? stepCurve : lineCurves[style.curve] || d3.curveLinear
+      const line = d3.line()
+        .defined(d => d[key] != null)
+        .x(d => pointXY(d)[0])
+        .y(d => pointXY(d)[1])
+        .curve(curve)
+      // Dots have no path and always show their points; the other types follow Show Points
+      const hasPath = markType !== 'dots'
+      const showPoints = config.showPoints || markType === 'dots'
+
+      // Area: filled from zero (or the nearer end of the axis range) to the line, like bars
+      const areaBase = zeroOf(yScale)
+      const area = d3.area()
+        .defined(d => d[key] != null)
+        .curve(curve)
+      if (isHorizontal) area.y(d => pointXY(d)[1]).x0(areaBase).x1(d => pointXY(d)[0])
+      else area.x(d => pointXY(d)[0]).y0(areaBase).y1(d => pointXY(d)[1])
+
+      // Line labels: above, below or on the point ('top', 'bottom', 'center'); in a
+      // horizontal chart 'top' is right of the point and 'bottom' left of it
+      const lineLabelFmt = getFormatter(getFormatOpts(config, key + 'Labels')) || d3.format(',')
+      const llFont = resolveFont(key + 'LabelFont')
+      const position = config[key + 'LabelsPosition'] || 'top'
+      const lineLabelAnchor = !isHorizontal || position === 'center' ? 'middle'
+        : position === 'top' ? 'start' : 'end'
+      const lineLabelXY = d => {
+        const value = yScale(d[key])
+        const offset = isHorizontal
+          ? position === 'top' ? 8 : position === 'bottom' ? -8 : 0
+          : position === 'top' ? -10 : position === 'bottom' ? 15 : 5
+        const [x, y] = toXY(xCenter(d), value + offset)
+        return [x + (config[key + 'LabelsOffsetX'] || 0), y + (config[key + 'LabelsOffsetY'] || 0)]
       }
 
-      // Tooltips for bars
-      if (config.tooltipShow) {
-        if (bar1Rects) {
-          bar1Rects.on('mouseover', function(event, d) {
-            showTooltip(event, d.category, 'bar1', d.bar1)
-          }).on('mouseout', hideTooltip)
+      if (useCanvas) {
+        if (markType === 'area') {
+          ctx.globalAlpha = style.opacity * style.areaOpacity
+          ctx.fillStyle = style.color
+          ctx.beginPath()
+          area.context(ctx)(drawnData)
+          ctx.fill()
         }
-        if (bar2Rects) {
-          bar2Rects.on('mouseover', function(event, d) {
-            showTooltip(event, d.category, 'bar2', d.bar2)
-          }).on('mouseout', hideTooltip)
+        if (hasPath) {
+          ctx.globalAlpha = style.opacity
+          ctx.strokeStyle = style.color
+          ctx.lineWidth = style.width
+          ctx.setLineDash(toLineDash(dashArray))
+          ctx.beginPath()
+          line.context(ctx)(drawnData)
+          ctx.stroke()
+          ctx.setLineDash([])
         }
-      }
+        ctx.globalAlpha = 1
+
+        if (showPoints) {
+          const pointSymbol = d3.symbol()
+            .type(shapes[style.pointShape] || d3.symbolCircle)
+            .size(config.pointSize * config.pointSize * 4)
+            .context(ctx)
+          ctx.fillStyle = style.pointFill
+          ctx.strokeStyle = config.pointStroke
+          ctx.lineWidth = config.pointStrokeWidth
+          definedData.forEach(d => {
+            ctx.save()
+            ctx.translate(...pointXY(d))
+            ctx.beginPath()
+            pointSymbol()
+            ctx.fill()
+            if (config.pointStrokeWidth > 0) ctx.stroke()
+            ctx.restore()
+          })
 
-    } else if ((hasBar1 || hasBar2) && config.barStyle === 'stacked') {
-      // Stacked bars
-      const stackData = chartData.map(d => ({
-        category: d.category,
-        bar1: d.bar1,
-        bar2: d.bar2,
-        total: (hasBar1 ? d.bar1 : 0) + (hasBar2 ? d.bar2 : 0)
-      }))
-
-      const barGroup = g.selectAll('.bar-group')
-        .data(stackData)
-        .enter().append('g')
-        .attr('class', 'bar-group')
-        .attr('transform', d => `translate(${x0(d.category)},0)`)
-
-      // Bar 1 (bottom)
-      let bar1Rects
-      if (hasBar1) {
-        bar1Rects = barGroup.append('rect')
-          .attr('class', 'bar1')
-          .attr('x', 0)
-          .attr('width', x0.bandwidth())
-          .attr('y', chartHeight)
-          .attr('height', 0)
-          .attr('fill', config.bar1Color)
-          .attr('opacity', config.bar1Opacity)
-
-        if (config.bar1ShowBorder) {
-          bar1Rects.attr('stroke', config.bar1BorderColor)
-            .attr('stroke-width', config.bar1BorderWidth)
+          if (config[key + 'LabelsShow']) {
+            ctx.font = canvasFont(llFont)
+            ctx.fillStyle = llFont.color
+            ctx.textAlign = lineLabelAnchor === 'middle' ? 'center' : lineLabelAnchor
+            ctx.textBaseline = isHorizontal ? 'middle' : 'alphabetic'
+            definedData.forEach(d => ctx.fillText(lineLabelFmt(d[key]), ...lineLabelXY(d)))
+            ctx.textBaseline = 'alphabetic'
+          }
         }
-
-        bar1Rects.transition()
-          .duration(config.animationEnabled ? config.animationDuration : 0)
-          .ease(easing)
-          .attr('y', d => yLeft(d.bar1))
-          .attr('height', d => chartHeight - yLeft(d.bar1))
+        return
       }
 
-      // Bar 2 (top - gets corner radius in stacked mode)
-      let bar2Rects
-      if (hasBar2) {
-        bar2Rects = barGroup.append('rect')
-          .attr('class', 'bar2')
-          .attr('x', 0)
-          .attr('width', x0.bandwidth())
-          .attr('y', chartHeight)
-          .attr('height', 0)
-          .attr('fill', config.bar2Color)
-          .attr('opacity', config.bar2Opacity)
-          .attr('rx', config.bar2CornerRadius)
-
-        if (config.bar2ShowBorder) {
-          bar2Rects.attr('stroke', config.bar2BorderColor)
-            .attr('stroke-width', config.bar2BorderWidth)
+      // Line series group (area, path, points and labels), joined by series key above
+      const group = lineGroups.filter(s => s.key === key)
+
+      // Area fill below the path; hovering it shows the nearest category
+      const areaPath = group.selectAll(':scope > path.area')
+        .data(markType === 'area' ? [drawnData] : [])
+        .join(
+          enter => enter.insert('path', ':first-child')
+            .attr('class', `area ${key}-area`)
+            .attr('d', area)
+            .style('opacity', 0),
+          update => update,
+          exit => exit.remove()
+        )
+        .attr('fill', style.color)
+        .attr('fill-opacity', style.areaOpacity)
+        .on('mousemove', config.tooltipShow
+          ? (event) => {
+            const [mc] = toXY(...d3.pointer(event, g.node()))
+            const d = definedData[d3.leastIndex(definedData, d => Math.abs(xCenter(d) - mc))]
+            if (d) showTooltip(event, d, key, key, null, downsampledNotes[key])
+          }
+          : null)
+        .on('mouseout', config.tooltipShow ? hideTooltip : null)
+      areaPath.transition()
+        .duration(duration)
+        .ease(easing)
+        .attr('d', area)
+        .style('opacity', style.opacity)
+
+      let path = group.select(':scope > path.line')
+      const isNewLine = path.empty()
+      if (!hasPath) {
+        path.remove()
+      } else {
+        if (isNewLine) path = group.append('path')
+
+        path.interrupt()
+          .datum(drawnData)
+          .attr('class', `line ${key}`)
+          .attr('fill', 'none')
+          .attr('stroke', style.color)
+          .attr('stroke-width', style.width)
+          .attr('opacity', style.opacity)
+          .attr('stroke-dasharray', dashArray)
+          .attr('stroke-dashoffset', null)
+          .attr('pointer-events', downsampledNotes[key] ? 'none' : null)
+
+        if (!isNewLine) {
+          // Existing line morphs to the new values
+          path.transition()
+            .duration(duration)
+            .ease(easing)
+            .attr('d', line)
+        } else {
+          path.attr('d', line)
+
+          // Animate line
+          if (duration) {
+            const pathLength = path.node().getTotalLength()
+            path
+              .attr('stroke-dasharray', `${pathLength} ${pathLength}`)
+              .attr('stroke-dashoffset', pathLength)
+              .transition()
+              .duration(duration * 1.2)
+              .ease(easing)
+              .attr('stroke-dashoffset', 0)
+              .on('end', function() {
+                d3.select(this).attr('stroke-dasharray', dashArray)
+              })
+          }
         }
-
-        bar2Rects.transition()
-          .duration(config.animationEnabled ? config.animationDuration : 0)
-          .ease(easing)
-          .attr('y', d => yLeft(d.total))
-          .attr('height', d => yLeft(hasBar1 ? d.bar1 : 0) - yLeft(d.total))
       }
 
-      // Tooltips for stacked bars
-      if (config.tooltipShow) {
-        if (bar1Rects) {
-          bar1Rects.on('mouseover', function(event, d) {
-            showTooltip(event, d.category, 'bar1', d.bar1)
-          }).on('mouseout', hideTooltip)
-        }
-        if (bar2Rects) {
-          bar2Rects.on('mouseover', function(event, d) {
-            showTooltip(event, d.category, 'bar2', d.bar2)
-          }).on('mouseout', hideTooltip)
-        }
-      }
-    }
+      // Draw line points (keyed by category so they move with the line)
+      const pointsGroup = group.selectAll(':scope > .points')
+        .data([null])
+        .join('g')
+        .attr('class', `points ${key}-points`)
 
-    // Draw line (only if line field is mapped)
-    if (hasLine) {
-      const lineCurves = {
-        'linear': d3.curveLinear,
-        'monotone': d3.curveMonotoneX,
-        'cardinal': d3.curveCardinal,
-        'step': d3.curveStepAfter
+      if (!showPoints) {
+        pointsGroup.selectAll('*').remove()
+        return
       }
 
-      const line = d3.line()
-        .x(d => x0(d.category) + x0.bandwidth() / 2)
-        .y(d => yRight(d.line))
-        .curve(lineCurves[config.lineCurve] || d3.curveLinear)
-
-      const path = g.append('path')
-        .datum(chartData)
-        .attr('class', 'line')
-        .attr('fill', 'none')
-        .attr('stroke', config.lineColor)
-        .attr('stroke-width', config.lineWidth)
-        .attr('opacity', config.lineOpacity)
-        .attr('d', line)
-
-      // Line style
-      if (config.lineStyle === 'dashed') {
-        path.attr('stroke-dasharray', '8,4')
-      } else if (config.lineStyle === 'dotted') {
-        path.attr('stroke-dasharray', '2,2')
-      }
+      const pointSymbol = d3.symbol()
+        .type(shapes[style.pointShape] || d3.symbolCircle)
+        .size(config.pointSize * config.pointSize * 4)
+      const pointTransform = d => `translate(${pointXY(d)})`
+
+      const points = pointsGroup.selectAll('.line-point')
+        .data(definedData, d => d.category)
+        .join(
+          enter => enter.append('path')
+            .attr('class', 'line-point')
+            .attr('transform', pointTransform)
+            .style('opacity', 0),
+          update => update,
+          exit => exit.transition()
+            .duration(duration * 0.5)
+            .style('opacity', 0)
+            .remove()
+        )
+        .attr('d', pointSymbol)
+        .attr('fill', style.pointFill)
+        .attr('stroke', config.pointStroke)
+        .attr('stroke-width', config.pointStrokeWidth)
+
+      points.transition()
+        .duration(isNewLine ? duration * 0.5 : duration)
+        .delay((d, i) => isNewLine && duration ? duration * 0.8 + i * 30 : 0)
+        .ease(easing)
+        .attr('transform', pointTransform)
+        .style('opacity', 1)
+
+      // Tooltips for points
+      points
+        .on('mouseover', config.tooltipShow
+          ? (event, d) => showTooltip(event, d, key, key, null, downsampledNotes[key])
+          : null)
+        .on('mouseout', config.tooltipShow ? hideTooltip : null)
+
+      // Line labels
+      const labelX = d => lineLabelXY(d)[0]
+      const labelY = d => lineLabelXY(d)[1]
+
+      pointsGroup.selectAll('.line-label')
+        .data(config[key + 'LabelsShow'] ? definedData : [], d => d.category)
+        .join(
+          enter => enter.append('text')
+            .attr('class', 'line-label')
+            .attr('x', labelX)
+            .attr('y', labelY)
+            .style('opacity', 0),
+          update => update,
+          exit => exit.remove()
+        )
+        .attr('text-anchor', lineLabelAnchor)
+        .attr('dominant-baseline', isHorizontal ? 'middle' : null)
+        .attr('font-size', llFont.size + 'px')
+        .style('font-family', llFont.family)
+        .style('font-weight', llFont.weight)
+        .style('font-style', llFont.italic ? 'italic' : 'normal')
+        .attr('fill', llFont.color)
+        .text(d => lineLabelFmt(d[key]))
+        .transition()
+        .duration(duration)
+        .ease(easing)
+        .attr('x', labelX)
+        .attr('y', labelY)
+        .style('opacity', 1)
+    })
 
-      // Animate line
-      if (config.animationEnabled) {
-        const pathLength = path.node().getTotalLength()
-        path
-          .attr('stroke-dasharray', `${pathLength} ${pathLength}`)
-          .attr('stroke-dashoffset', pathLength)
-          .transition()
-          .duration(config.animationDuration * 1.2)
-          .ease(easing)
-          .attr('stroke-dashoffset', 0)
-          .on('end', function() {
-            if (config.lineStyle === 'dashed') {
-              d3.select(this).attr('stroke-dasharray', '8,4')
-            } else if (config.lineStyle === 'dotted') {
-              d3.select(this).attr('stroke-dasharray', '2,2')
-            } else {
-              d3.select(this).attr('stroke-dasharray', null)
-            }
+    // Hover layer for downsampled lines: snaps to the nearest raw row along the
+    // category axis and the nearest downsampled line at that row. Kept below the
+    // marks so bars and points still receive their own events.
+    const downsampledLines = lineSeries.filter(s => downsampledNotes[s.key])
+    if (config.tooltipShow && !useCanvas && downsampledLines.length > 0) {
+      const hoverDot = g.append('circle')
+        .attr('class', 'hover-dot')
+        .attr('r', 4)
+        .attr('stroke', '#fff')
+        .attr('stroke-width', 1.5)
+        .attr('pointer-events', 'none')
+        .style('display', 'none')
+
+      g.insert('rect', ':first-child')
+        .attr('class', 'hover-layer')
+        .attr('width', chartWidth)
+        .attr('height', chartHeight)
+        .attr('fill', 'transparent')
+        .on('mousemove', function(event) {
+          const [mc, mv] = toXY(...d3.pointer(event, g.node()))
+          let nearest = null
+          chartData.forEach(d => {
+            const dc = Math.abs(xCenter(d) - mc)
+            if (!nearest || dc < nearest.dc) nearest = { d, dc }
           })
-      }
-
-      // Draw line points
-      if (config.showPoints) {
-        const pointsGroup = g.append('g').attr('class', 'points')
+          const d = nearest?.d
+          let hit = null
+          downsampledLines.forEach(s => {
+            if (d?.[s.key] == null) return
+            const v = (leftLines.includes(s) ? yLeft : yRight)(d[s.key])
+            if (!hit || Math.abs(v - mv) < Math.abs(hit.v - mv)) hit = { series: s, v }
+          })
+          if (!hit) {
+            hoverDot.style('display', 'none')
+            hideTooltip()
+            return
+          }
+          const [cx, cy] = toXY(xCenter(d), hit.v)
+          hoverDot
+            .style('display', null)
+            .attr('cx', cx)
+            .attr('cy', cy)
+            .attr('fill', hit.series.style.color)
+          showTooltip(event, d, hit.series.key, hit.series.key, null, downsampledNotes[hit.series.key])
+        })
+        .on('mouseleave', () => {
+          hoverDot.style('display', 'none')
+          hideTooltip()
+        })
+    }
 
-        const shapes = {
-          'circle': d3.symbolCircle,
-          'square': d3.symbolSquare,
-          'diamond': d3.symbolDiamond,
-          'triangle': d3.symbolTriangle
-        }
+    // Pareto annotations: reference line at the target share (80% by default) and a
+    // cutoff marker after the first category where the cumulative % reaches it
+    if (paretoSeries) {
+      const target = config.paretoReferenceValue ?? 80
+      const annotations = g.append('g')
+        .attr('class', 'pareto-annotations')
+        .attr('pointer-events', 'none')
+      const refColor = config.paretoReferenceColor || '#888888'
+
+      if (config.paretoShowReference !== false) {
+        const [fromX, fromY] = toXY(0, yRight(target))
+        const [toX, toY] = toXY(categoryLength, yRight(target))
+        annotations.append('line')
+          .attr('x1', fromX)
+          .attr('x2', toX)
+          .attr('y1', fromY)
+          .attr('y2', toY)
+          .attr('stroke', refColor)
+          .attr('stroke-width', 1)
+          .attr('stroke-dasharray', '4,3')
+        annotations.append('text')
+          .attr('x', toX + (isHorizontal ? 4 : -4))
+          .attr('y', toY - 4)
+          .attr('text-anchor', isHorizontal ? 'start' : 'end')
+          .attr('font-size', '11px')
+          .attr('fill', refColor)
+          .text(`${target}%`)
+      }
 
-        const pointSymbol = d3.symbol()
-          .type(shapes[config.pointShape] || d3.symbolCircle)
-          .size(config.pointSize * config.pointSize * 4)
-
-        const points = pointsGroup.selectAll('.line-point')
-          .data(chartData)
-          .enter().append('path')
-          .attr('class', 'line-point')
-          .attr('transform', d => `translate(${x0(d.category) + x0.bandwidth() / 2},${yRight(d.line)})`)
-          .attr('d', pointSymbol)
-          .attr('fill', config.pointFill)
-          .attr('stroke', config.pointStroke)
-          .attr('stroke-width', config.pointStrokeWidth)
-          .style('opacity', 0)
-
-        points.transition()
-          .duration(config.animationEnabled ? config.animationDuration * 0.5 : 0)
-          .delay((d, i) => config.animationEnabled ? config.animationDuration * 0.8 + i * 30 : 0)
-          .ease(easing)
-          .style('opacity', 1)
-
-        // Tooltips for points
-        if (config.tooltipShow) {
-          points.on('mouseover', function(event, d) {
-            showTooltip(event, d.category, 'line', d.line)
-          }).on('mouseout', hideTooltip)
-        }
+      const cutoffIndex = chartData.findIndex(d => d[PARETO_KEY] != null && d[PARETO_KEY] >= target - 1e-9)
+      if (config.paretoShowCutoff !== false && cutoffIndex >= 0) {
+        const d = chartData[cutoffIndex]
+        // Between the cutoff category and the next one
+        const cutoffX = cutoffIndex < chartData.length - 1
+          ? (xCenter(d) + xCenter(chartData[cutoffIndex + 1])) / 2
+          : xCenter(d) + bandWidth / 2
+        const [fromX, fromY] = toXY(cutoffX, 0)
+        const [toX, toY] = toXY(cutoffX, valueLength)
+        const [cx, cy] = toXY(xCenter(d), yRight(d[PARETO_KEY]))
+        annotations.append('line')
+          .attr('x1', fromX)
+          .attr('x2', toX)
+          .attr('y1', fromY)
+          .attr('y2', toY)
+          .attr('stroke', refColor)
+          .attr('stroke-width', 1)
+          .attr('stroke-dasharray', '2,3')
+        annotations.append('circle')
+          .attr('cx', cx)
+          .attr('cy', cy)
+          .attr('r', 5)
+          .attr('fill', 'none')
+          .attr('stroke', paretoSeries.style.color)
+          .attr('stroke-width', 2)
+        // Next to the cutoff line, at the far end of the value axis
+        annotations.append('text')
+          .attr('x', isHorizontal ? chartWidth - 4 : cutoffX + 4)
+          .attr('y', isHorizontal ? cutoffX - 4 : 12)
+          .attr('text-anchor', isHorizontal ? 'end' : null)
+          .attr('font-size', '11px')
+          .attr('fill', refColor)
+          .text(`${cutoffIndex + 1} of ${chartData.length}`)
+      }
+    }
 
-        // Line labels
-        if (config.lineLabelsShow) {
-          const lineLabelFmt = getFormatter(getFormatOpts(config, 'lineLabels'))
-          const llFont = resolveFont('lineLabelFont')
-          pointsGroup.selectAll('.line-label')
-            .data(chartData)
-            .enter().append('text')
-            .attr('class', 'line-label')
-            .attr('x', d => x0(d.category) + x0.bandwidth() / 2 + (config.lineLabelsOffsetX || 0))
-            .attr('y', d => {
-              const baseY = config.lineLabelsPosition === 'top' ? yRight(d.line) - 10
-                : config.lineLabelsPosition === 'bottom' ? yRight(d.line) + 15
-                : yRight(d.line) + 5
-              return baseY + (config.lineLabelsOffsetY || 0)
+    // Canvas hit-testing: nearest row along the category axis, then a line point near the pointer
+    // (lines are drawn on top, so they win) or the bar under it. Lines resolve
+    // against the raw rows, so downsampled lines still report the nearest value.
+    if (useCanvas && config.tooltipShow) {
+      const rowX = chartData.map(xCenter)
+      const hasPoints = config.showPoints || lineSeries.some(s => s.markType === 'dots')
+      const hitRadius = Math.max(6, (hasPoints ? config.pointSize : 0) + 3)
+
+      d3.select(canvasRef.current)
+        .on('mousemove', function(event) {
+          const [px, py] = d3.pointer(event, this)
+          const mx = px - margin.left
+          const my = py - margin.top
+          const [mc, mv] = toXY(mx, my)
+          const i = findNearestIndex(rowX, mc)
+          const d = chartData[i]
+          if (!d) return hideTooltip()
+
+          let hit = null
+          if (Math.abs(rowX[i] - mc) <= Math.max(hitRadius, bandWidth / 2)) {
+            lineSeries.forEach(s => {
+              if (d[s.key] == null) return
+              const dv = Math.abs((leftLines.includes(s) ? yLeft : yRight)(d[s.key]) - mv)
+              if (dv <= hitRadius && (!hit || dv < hit.dv)) hit = { series: s, dv }
             })
-            .attr('text-anchor', 'middle')
-            .attr('font-size', llFont.size + 'px')
-            .style('font-family', llFont.family)
-            .style('font-weight', llFont.weight)
-            .style('font-style', llFont.italic ? 'italic' : 'normal')
-            .attr('fill', llFont.color)
-            .text(d => lineLabelFmt ? lineLabelFmt(d.line) : d3.format(',')(d.line))
-            .style('opacity', 0)
-            .transition()
-            .duration(config.animationEnabled ? config.animationDuration : 0)
-            .style('opacity', 1)
-        }
-      }
+          }
+          if (hit) return showTooltip(event, d, hit.series.key, hit.series.key, null, downsampledNotes[hit.series.key])
+
+          // Last drawn is on top (overlap and target styles stack bars of one category)
+          let rect = null
+          for (let j = barRects[i].length - 1; j >= 0; j--) {
+            if (rectContains(barRect(barRects[i][j]), mx, my)) {
+              rect = barRects[i][j]
+              break
+            }
+          }
+          if (rect) showTooltip(event, d, rect.series.key, rect.series.parent, rect.series.member, barNote(rect))
+          else hideTooltip()
+        })
+        .on('mouseleave', hideTooltip)
     }
 
     // Draw axes
     if (config.xAxisShow) {
-      const xAxisGenerator = d3.axisBottom(x0)
+      const xAxisGenerator = categoryAxis()
 
       if (!config.xAxisShowLabels) {
         xAxisGenerator.tickFormat('')
       } else {
+        // On a time axis only a date format replaces the grain-based tick labels
         const xFmt = getFormatter(getFormatOpts(config, 'xAxis'))
-        if (xFmt) xAxisGenerator.tickFormat(xFmt)
+        if (xFmt && (!isTimeAxis || config.xAxisFormat === 'date')) xAxisGenerator.tickFormat(xFmt)
+        // Rows with a display label (Top N Others) show it instead of their category key
+        const tickLabels = new Map(chartData.filter(d => d.label != null).map(d => [d.category, d.label]))
+        if (tickLabels.size > 0) {
+          const format = xAxisGenerator.tickFormat() || String
+          xAxisGenerator.tickFormat(c => tickLabels.get(c) ?? format(c))
+        }
       }
       if (!config.xAxisShowTickMarks) {
         xAxisGenerator.tickSize(0)
@@ -623,7 +1335,7 @@ function ComboChart({ data, columns, config }) {
       const xLabelFont = resolveFont('xAxisLabelFont')
       const xAxisGroup = g.append('g')
         .attr('class', 'x-axis')
-        .attr('transform', `translate(0,${chartHeight})`)
+        .attr('transform', isHorizontal ? null : `translate(0,${chartHeight})`)
         .call(xAxisGenerator)
         .style('color', xFont.color)
         .style('font-family', xFont.family)
@@ -643,13 +1355,14 @@ function ComboChart({ data, columns, config }) {
       xAxisGroup.selectAll('.tick line').style('stroke', config.xAxisTickColor || '#999')
       xAxisGroup.select('.domain').style('stroke', config.xAxisLineColor || '#999')
 
-      if (config.xAxisRotation !== 0) {
+      // Rotation and alignment apply to labels along the bottom only
+      if (!isHorizontal && config.xAxisRotation !== 0) {
         xAxisGroup.selectAll('text')
           .attr('transform', `rotate(${config.xAxisRotation})`)
           .style('text-anchor', 'end')
           .attr('dx', '-0.8em')
           .attr('dy', '0.15em')
-      } else {
+      } else if (!isHorizontal) {
         // Apply x-axis label alignment
         const xAlign = config.xAxisAlign || 'center'
         if (xAlign !== 'center') {
@@ -669,18 +1382,19 @@ function ComboChart({ data, columns, config }) {
         xAxisGroup.select('.domain').remove()
       }
 
-      // X Axis Title (offset adjusts for rotated labels)
-      // Falls back to dimension field name if no custom title set
+      // X Axis Title (offset adjusts for rotated labels; rotated along the left side
+      // of a horizontal chart). Falls back to dimension field name if no custom title set
       const xTitle = config.xAxisTitle || getDisplayName('dimension', fieldNames, config)
       if (config.xAxisShowTitle && xTitle) {
-        const absRotation = Math.abs(config.xAxisRotation || 0)
-        const titleYOffset = absRotation === 0 ? 45 : absRotation <= 45 ? 60 : 75
+        // Baseline just past the tick labels (the rotated title's glyphs extend outwards)
+        const titleYOffset = isHorizontal ? -(categoryLabelBand + 6) : categoryLabelBand + 6 + categoryTitleSize
         xAxisGroup.append('text')
           .attr('class', 'x-axis-title')
-          .attr('x', chartWidth / 2)
+          .attr('transform', isHorizontal ? 'rotate(-90)' : null)
+          .attr('x', isHorizontal ? -chartHeight / 2 : chartWidth / 2)
           .attr('y', titleYOffset)
           .attr('text-anchor', 'middle')
-          .attr('font-size', (xFont.size + 1) + 'px')
+          .attr('font-size', categoryTitleSize + 'px')
           .style('font-family', xFont.family)
           .style('font-weight', Math.min(700, xFont.weight + 100))
           .attr('fill', xFont.color)
@@ -688,13 +1402,31 @@ function ComboChart({ data, columns, config }) {
       }
     }
 
+    // Minor ticks of a value axis: shorter, unlabelled marks in their own group on the axis
+    const drawMinorTicks = (axisGroup, axis, ticks, prefix) => {
+      if (!config[prefix + 'ShowTickMarks'] || ticks.minor.length === 0) return
+      axisGroup.append('g')
+        .attr('class', 'minor-ticks')
+        .call(axis
+          .tickValues(ticks.minor)
+          .tickSize(config[prefix + 'MinorTickSize'] ?? 3)
+          .tickFormat(''))
+        .call(minor => minor.select('.domain').remove())
+        .selectAll('.tick line')
+        .style('stroke', config[prefix + 'MinorTickColor'] || '#cccccc')
+    }
+
     if (config.yAxisLeftShow) {
-      const yAxisLeftGenerator = d3.axisLeft(yLeft)
+      // Left value axis: along the bottom of a horizontal chart
+      const yAxisLeftGenerator = (isHorizontal ? d3.axisBottom(yLeft) : d3.axisLeft(yLeft))
+        .ticks(leftTicks.count)
+        .tickValues(leftTicks.major)
 
       if (!config.yAxisLeftShowLabels) {
         yAxisLeftGenerator.tickFormat('')
       } else {
-        const leftFmt = getFormatter(getFormatOpts(config, 'yAxisLeft'))
+        const leftFmt = isPercentStack ? (v => v + '%')
+          : getFormatter(getFormatOpts(config, 'yAxisLeft')) || leftTicks.defaultFormat
         if (leftFmt) yAxisLeftGenerator.tickFormat(leftFmt)
       }
       if (!config.yAxisLeftShowTickMarks) {
@@ -705,6 +1437,7 @@ function ComboChart({ data, columns, config }) {
       const yLeftLabelFont = resolveFont('yAxisLeftLabelFont')
       const yAxisLeftGroup = g.append('g')
         .attr('class', 'y-axis-left')
+        .attr('transform', isHorizontal ? `translate(0,${chartHeight})` : null)
         .call(yAxisLeftGenerator)
         .style('color', yLeftFont.color)
         .style('font-family', yLeftFont.family)
@@ -734,18 +1467,19 @@ function ComboChart({ data, columns, config }) {
       if (!config.yAxisLeftShowAxisLine) {
         yAxisLeftGroup.select('.domain').remove()
       }
+      drawMinorTicks(yAxisLeftGroup, (isHorizontal ? d3.axisBottom : d3.axisLeft)(yLeft), leftTicks, 'yAxisLeft')
 
       // Y Axis Left Title
-      // Falls back to "Bar1Name / Bar2Name" from field names
-      const leftParts = [getDisplayName('bar1', fieldNames, config), getDisplayName('bar2', fieldNames, config)].filter(Boolean)
-      const yLeftTitle = config.yAxisLeftTitle || leftParts.join(' / ')
+      // Falls back to "Bar1Name / Bar2Name / ..." of the left-axis bars plus any left-axis lines
+      const leftParts = [...new Set(leftBars.map(s => s.parent)), ...leftLines.map(s => s.key)].map(key => getDisplayName(key, fieldNames, config))
+      const yLeftTitle = config.yAxisLeftTitle || leftParts.join(' / ') + (isPercentStack ? ' (% of total)' : '')
       if (config.yAxisLeftShowTitle && yLeftTitle) {
         const titleXOffset = -Math.max(margin.left - 10, 60)
         g.append('text')
           .attr('class', 'y-axis-left-title')
-          .attr('transform', 'rotate(-90)')
-          .attr('x', -chartHeight / 2)
-          .attr('y', titleXOffset)
+          .attr('transform', isHorizontal ? null : 'rotate(-90)')
+          .attr('x', isHorizontal ? chartWidth / 2 : -chartHeight / 2)
+          .attr('y', isHorizontal ? chartHeight + 45 : titleXOffset)
           .attr('text-anchor', 'middle')
           .attr('font-size', (yLeftFont.size + 1) + 'px')
           .style('font-family', yLeftFont.family)
@@ -756,13 +1490,17 @@ function ComboChart({ data, columns, config }) {
     }
 
     // Right axis only in dual mode (hidden in shared mode)
-    if (config.yAxisRightShow && hasLine && !isSharedAxis) {
-      const yAxisRightGenerator = d3.axisRight(yRight)
+    if (config.yAxisRightShow && rightKeys.length > 0 && !isSharedAxis) {
+      // Right value axis: along the top of a horizontal chart
+      const yAxisRightGenerator = (isHorizontal ? d3.axisTop(yRight) : d3.axisRight(yRight))
+        .ticks(rightTicks.count)
+        .tickValues(rightTicks.major)
 
       if (!config.yAxisRightShowLabels) {
         yAxisRightGenerator.tickFormat('')
       } else {
-        const rightFmt = getFormatter(getFormatOpts(config, 'yAxisRight'))
+        const rightFmt = paretoSeries ? (v => v + '%')
+          : getFormatter(getFormatOpts(config, 'yAxisRight')) || rightTicks.defaultFormat
         if (rightFmt) yAxisRightGenerator.tickFormat(rightFmt)
       }
       if (!config.yAxisRightShowTickMarks) {
@@ -773,7 +1511,7 @@ function ComboChart({ data, columns, config }) {
       const yRightLabelFont = resolveFont('yAxisRightLabelFont')
       const yAxisRightGroup = g.append('g')
         .attr('class', 'y-axis-right')
-        .attr('transform', `translate(${chartWidth},0)`)
+        .attr('transform', isHorizontal ? null : `translate(${chartWidth},0)`)
         .call(yAxisRightGenerator)
         .style('color', yRightFont.color)
         .style('font-family', yRightFont.family)
@@ -803,17 +1541,19 @@ function ComboChart({ data, columns, config }) {
       if (!config.yAxisRightShowAxisLine) {
         yAxisRightGroup.select('.domain').remove()
       }
+      drawMinorTicks(yAxisRightGroup, (isHorizontal ? d3.axisTop : d3.axisRight)(yRight), rightTicks, 'yAxisRight')
 
       // Y Axis Right Title
-      // Falls back to line field name
-      const yRightTitle = config.yAxisRightTitle || getDisplayName('line', fieldNames, config)
+      // Falls back to the right-axis bar and line field names
+      const rightParts = [...new Set(rightBars.map(s => s.parent)), ...rightLines.map(s => s.key)]
+      const yRightTitle = config.yAxisRightTitle || rightParts.map(key => getDisplayName(key, fieldNames, config)).join(' / ')
       if (config.yAxisRightShowTitle && yRightTitle) {
         const titleXOffset = -Math.max(margin.right - 15, 45)
         yAxisRightGroup.append('text')
           .attr('class', 'y-axis-right-title')
-          .attr('transform', 'rotate(90)')
-          .attr('x', chartHeight / 2)
-          .attr('y', titleXOffset)
+          .attr('transform', isHorizontal ? null : 'rotate(90)')
+          .attr('x', isHorizontal ? chartWidth / 2 : chartHeight / 2)
+          .attr('y', isHorizontal ? -32 : titleXOffset)
           .attr('text-anchor', 'middle')
           .attr('font-size', (yRightFont.size + 1) + 'px')
           .style('font-family', yRightFont.family)
@@ -827,52 +1567,53 @@ function ComboChart({ data, columns, config }) {
     // Legend is rendered as DOM elements below the SVG (see JSX return)
 
     // Tooltip functions
-    function showTooltip(event, category, type, value) {
+    // d is the chart row and key the drawn series; type is the series whose name and
+    // format apply (the bar measure for split bars), member the Series/Color value if split,
+    // note an optional remark shown below the content (e.g. that the line is downsampled)
+    const imputedNotes = { zero: 'missing, shown as zero', interpolate: 'interpolated', carry: 'carried forward' }
+
+    function showTooltip(event, d, key, type, member, note) {
       if (!tooltipRef.current) return
 
       const tooltip = d3.select(tooltipRef.current)
       const displayName = getDisplayName(type, fieldNames, config)
+      const category = d.category
+      const categoryLabel = d.label ?? category
+      const value = d[key]
 
-      // Get formatters for each measure (using label formatters)
-      const bar1Fmt = getFormatter(getFormatOpts(config, 'bar1Labels')) || (v => d3.format(',.2f')(v))
-      const bar2Fmt = getFormatter(getFormatOpts(config, 'bar2Labels')) || (v => d3.format(',.2f')(v))
-      const lineFmt = getFormatter(getFormatOpts(config, 'lineLabels')) || (v => d3.format(',.2f')(v))
+      // Get formatter for a series (using its label formatter)
+      const getSeriesFormatter = (key) => key === PARETO_KEY
+        ? v => d3.format('.1f')(v) + '%'
+        : getFormatter(getFormatOpts(config, key + 'Labels')) || (v => d3.format(',.2f')(v))
 
-      // Format current value based on type
-      const currentFormatter = type === 'bar1' ? bar1Fmt : type === 'bar2' ? bar2Fmt : lineFmt
-      const valueFormatted = currentFormatter(value)
+      // Format current value based on type, flagging values filled in for missing data
+      const imputedNote = d.imputed?.[key] ? imputedNotes[nullModes[key]] : null
+      const valueFormatted = getSeriesFormatter(type)(value) +
+        (imputedNote ? ` <span class="tooltip-imputed">(${imputedNote})</span>` : '')
 
       let content = ''
 
       // Custom template mode
       if (config.tooltipUseCustom && config.tooltipTemplate) {
-        // Get all display names
         const dimensionLabel = getDisplayName('dimension', fieldNames, config)
-        const bar1Label = getDisplayName('bar1', fieldNames, config)
-        const bar2Label = getDisplayName('bar2', fieldNames, config)
-        const lineLabel = getDisplayName('line', fieldNames, config)
+        const seriesLabel = getDisplayName('series', fieldNames, config)
 
         // Find the data point to get all values
         const dataPoint = chartData.find(d => d.category === category)
-        const bar1Formatted = dataPoint?.bar1 != null ? bar1Fmt(dataPoint.bar1) : ''
-        const bar2Formatted = dataPoint?.bar2 != null ? bar2Fmt(dataPoint.bar2) : ''
-        const lineFormatted = dataPoint?.line != null ? lineFmt(dataPoint.line) : ''
+        const formatSeries = (key) => dataPoint?.[key] != null ? getSeriesFormatter(key)(dataPoint[key]) : ''
 
         // Parse template line by line
+        // Series tokens are generic over the series number: {bar3}, {bar3_label}, {line2_value}
         const lines = config.tooltipTemplate.split('\n')
         lines.forEach(line => {
           const rendered = line
             .replace(/\{dimension_label\}/g, dimensionLabel)
-            .replace(/\{dimension\}/g, category)
-            .replace(/\{bar1_label\}/g, bar1Label)
-            .replace(/\{bar1_value\}/g, bar1Formatted)
-            .replace(/\{bar1\}/g, `${bar1Label} : ${bar1Formatted}`)
-            .replace(/\{bar2_label\}/g, bar2Label)
-            .replace(/\{bar2_value\}/g, bar2Formatted)
-            .replace(/\{bar2\}/g, `${bar2Label} : ${bar2Formatted}`)
-            .replace(/\{line_label\}/g, lineLabel)
-            .replace(/\{line_value\}/g, lineFormatted)
-            .replace(/\{line\}/g, `${lineLabel} : ${lineFormatted}`)
+            .replace(/\{dimension\}/g, categoryLabel)
+            .replace(/\{series_label\}/g, seriesLabel)
+            .replace(/\{series\}/g, member ?? '')
+            .replace(/\{(bar\d+|line\d*)_label\}/g, (m, key) => getDisplayName(key, fieldNames, config))
+            .replace(/\{(bar\d+|line\d*)_value\}/g, (m, key) => formatSeries(key))
+            .replace(/\{(bar\d+|line\d*)\}/g, (m, key) => `${getDisplayName(key, fieldNames, config)} : ${formatSeries(key)}`)
             .replace(/\{measure\}/g, displayName)
             .replace(/\{value\}/g, valueFormatted)
 
@@ -884,7 +1625,10 @@ function ComboChart({ data, columns, config }) {
       // Default mode
       else {
         if (config.tooltipShowDimension) {
-          content += `<div class="tooltip-title"><strong>${category}</strong></div>`
+          content += `<div class="tooltip-title"><strong>${categoryLabel}</strong></div>`
+        }
+        if (member != null) {
+          content += `<div class="tooltip-row"><span class="tooltip-label">${getDisplayName('series', fieldNames, config)} :</span> <span class="tooltip-value">${member}</span></div>`
         }
         if (config.tooltipShowMeasureName && config.tooltipShowValue) {
           content += `<div class="tooltip-row"><span class="tooltip-label">${displayName} :</span> <span class="tooltip-value">${valueFormatted}</span></div>`
@@ -895,6 +1639,16 @@ function ComboChart({ data, columns, config }) {
         }
       }
 
+      // Top N Others lists the categories it contains
+      if (d.others) {
+        const more = d.others.length > 10 ? `, and ${d.others.length - 10} more` : ''
+        content += `<div class="tooltip-row tooltip-others">${d.others.length} categories: ${d.others.slice(0, 10).join(', ')}${more}</div>`
+      }
+
+      if (note) {
+        content += `<div class="tooltip-row tooltip-imputed">(${note})</div>`
+      }
+
       tooltip
         .style('display', 'block')
         .html(content)
@@ -923,21 +1677,23 @@ function ComboChart({ data, columns, config }) {
       d3.select(tooltipRef.current).style('display', 'none')
     }
 
-  }, [data, columns, config])
+  }, [data, columns, config, size, thinXTicks, thinYTicks])
 
-  // Handle window resize
+  // Redraw when the container is resized (dashboard tile, legend or window changes).
+  // The container only exists while there is data, so re-attach when that changes.
+  const hasData = !!data && data.length > 0
   useEffect(() => {
-    const handleResize = () => {
-      Promise.resolve().then(() => {
-        if (svgRef.current) {
-          // Chart will re-render via the main useEffect
-        }
-      })
-    }
+    const container = containerRef.current
+    if (!container) return
 
-    window.addEventListener('resize', handleResize)
-    return () => window.removeEventListener('resize', handleResize)
-  }, [])
+    const observer = new ResizeObserver(entries => {
+      const width = Math.round(entries[0].contentRect.width)
+      const height = Math.round(entries[0].contentRect.height)
+      setSize(prev => prev && prev.width === width && prev.height === height ? prev : { width, height })
+    })
+    observer.observe(container)
+    return () => observer.disconnect()
+  }, [hasData])
 
   if (!data || data.length === 0) {
     return (
@@ -951,43 +1707,48 @@ function ComboChart({ data, columns, config }) {
   }
 
   // Compute unmapped fields for hint below chart
+  const isWaterfall = config.barStyle === 'waterfall'
+  const barSeries = getDrawnBarSeries(config, getSeriesMembers(data, config.seriesDimension))
+  const lineSeries = getDrawnLineSeries(config)
   const unmappedFields = []
-  if (!config.bar1Measure) unmappedFields.push('Bar 1')
-  if (!config.bar2Measure) unmappedFields.push('Bar 2')
-  if (!config.lineMeasure) unmappedFields.push('Line')
-
-  const hintText = (unmappedFields.length > 0 && unmappedFields.length < 3)
-    ? (unmappedFields.length === 1
-        ? `Tip: Add a field to ${unmappedFields[0]} on the marks card to display it`
-        : `Tip: Add fields to ${unmappedFields.join(' and ')} on the marks card to display them`)
+  if (getBarSeries(config).length === 0) unmappedFields.push('Bars')
+  if (getLineSeries(config).length === 0) unmappedFields.push('Lines')
+
+  const hintText = unmappedFields.length === 1
+    ? `Tip: Add a field to ${unmappedFields[0]} on the marks card to display it`
     : null
 
   // Get field names for display names
   const fieldNames = getFieldNames(config)
+  // Pareto mode adds its cumulative % line to the legend
+  const legendLines = config.paretoEnabled && !isWaterfall && barSeries.length > 0
+    ? [...lineSeries, getParetoSeries(config, lineSeries.length)]
+    : lineSeries
 
   // Build legend data for DOM rendering
-  const legendData = []
-  if (config.bar1Measure) {
-    legendData.push({
-      label: getDisplayName('bar1', fieldNames, config),
-      color: config.bar1Color,
-      type: 'bar'
-    })
-  }
-  if (config.bar2Measure) {
-    legendData.push({
-      label: getDisplayName('bar2', fieldNames, config),
-      color: config.bar2Color,
-      type: 'bar'
-    })
-  }
-  if (config.lineMeasure) {
-    legendData.push({
-      label: getDisplayName('line', fieldNames, config),
-      color: config.lineColor,
-      type: 'line'
-    })
-  }
+  const waterfallLegend = [
+    { label: 'Increase', color: config.waterfallIncreaseColor || '#59a14f', type: 'bar' },
+    { label: 'Decrease', color: config.waterfallDecreaseColor || '#e15759', type: 'bar' },
+    { label: 'Total', color: config.waterfallTotalColor || '#4e79a7', type: 'bar' }
+  ]
+  const legendData = [
+    // Waterfall bars are colored by step kind rather than by series
+    ...(isWaterfall && barSeries.length > 0 ? waterfallLegend : []),
+    // Split bars list one entry per member, prefixed by the measure when several bars are mapped
+    ...(isWaterfall ? [] : barSeries).map(series => {
+      const measureLabel = getDisplayName(series.parent, fieldNames, config)
+      const label = series.member == null ? measureLabel
+        : getBarSeries(config).length > 1 ? `${measureLabel} · ${series.member}` : series.member
+      return { label, color: series.style.color, type: 'bar' }
+    }),
+    // Swatch follows the mark type: line (dashed like the series), area, step or dots
+    ...legendLines.map(series => ({
+      label: getDisplayName(series.key, fieldNames, config),
+      color: series.style.color,
+      dash: series.style.dash,
+      type: series.markType
+    }))
+  ]
 
   const isVerticalLegend = config.legendPosition === 'left' || config.legendPosition === 'right'
   const fontFamily = config.fontFamily || '"Tableau Book", Arial, sans-serif'
@@ -1056,7 +1817,15 @@ function ComboChart({ data, columns, config }) {
         <div key={i} className="legend-item" style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
           {item.type === 'bar'
             ? <div style={{ width: 14, height: 14, backgroundColor: item.color, borderRadius: 4, flexShrink: 0, boxShadow: '0 1px 2px rgba(0,0,0,0.1)' }} />
-            : <div style={{ width: 20, height: 3, backgroundColor: item.color, borderRadius: 9999, flexShrink: 0 }} />
+            : item.type === 'dots'
+              ? <div style={{ width: 8, height: 8, backgroundColor: item.color, borderRadius: '50%', margin: '0 6px', flexShrink: 0 }} />
+            : item.type === 'area'
+              ? <div style={{ width: 20, height: 12, backgroundColor: `color-mix(in srgb, ${item.color} 30%, transparent)`, borderTop: `3px solid ${item.color}`, boxSizing: 'border-box', flexShrink: 0 }} />
+            : item.type === 'step'
+              ? <div style={{ width: 20, height: 10, borderTop: `3px ${item.dash} ${item.color}`, borderRight: `3px ${item.dash} ${item.color}`, boxSizing: 'border-box', flexShrink: 0 }} />
+            : item.dash === 'solid'
+              ? <div style={{ width: 20, height: 3, backgroundColor: item.color, borderRadius: 9999, flexShrink: 0 }} />
+              : <div style={{ width: 20, height: 0, borderTop: `3px ${item.dash} ${item.color}`, flexShrink: 0 }} />
           }
           <span>{item.label}</span>
         </div>
@@ -1067,6 +1836,7 @@ function ComboChart({ data, columns, config }) {
   const chartEl = (
     <div ref={containerRef} className="combo-chart-container">
       <svg ref={svgRef}></svg>
+      <canvas ref={canvasRef} className="chart-canvas"></canvas>
     </div>
   )
 
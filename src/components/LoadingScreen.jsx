@@ -1,8 +1,23 @@
-function LoadingScreen() {
+// progress: { loaded, total } rows while summary data is streaming (null otherwise)
+// overlay: drawn over the mounted chart during a reload instead of replacing it
+function LoadingScreen({ progress, overlay = false }) {
+  const hasProgress = progress?.total > 0
+  const percent = hasProgress ? Math.min(100, Math.round((progress.loaded / progress.total) * 100)) : 0
+
   return (
-    <div className="loading-screen">
-      <div className="spinner"></div>
-      <p>Loading extension...</p>
+    <div className={overlay ? 'loading-screen overlay' : 'loading-screen'}>
+      {hasProgress ? (
+        <div className="progress-bar">
+          <div className="progress-bar-fill" style={{ width: percent + '%' }}></div>
+        </div>
+      ) : (
+        <div className="spinner"></div>
+      )}
+      <p>
+        {hasProgress
+          ? `Loading data... ${progress.loaded.toLocaleString()} of ${progress.total.toLocaleString()} rows`
+          : overlay ? 'Refreshing data...' : 'Loading extension...'}
+      </p>
     </div>
   )
 }
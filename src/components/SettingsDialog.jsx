@@ -1,14 +1,17 @@
-import { useState, useEffect, useRef } from 'react'
+import { useState, useEffect, useRef, Fragment } from 'react'
 import { Config } from '../utils/config'
 import FormatControls from './FormatControls'
-import { cleanFieldName, getDisplayName, getFieldNames } from '../utils/displayNames'
+import { cleanFieldName, getDisplayName, getFieldNames, getLabelKey, isAggregatedField } from '../utils/displayNames'
+import { MAX_BINS, getBinLayout } from '../utils/chartData'
+import { getBarStyle, getLineStyle, getPointKey, getMarkType, getSeriesSlots, resolveSeriesMeasure, withMapping } from '../utils/series'
 
-function SettingsDialog({ config, columns = [], onSave, onApply, onClose, isDialog = false, debugLogs: externalDebugLogs, onClearDebugLogs, workbookFont }) {
+function SettingsDialog({ config, columns = [], duplicateCategories, categories = [], categoryRange, onSave, onApply, onClose, isDialog = false, debugLogs: externalDebugLogs, onClearDebugLogs, workbookFont }) {
   const [localConfig, setLocalConfig] = useState(() => {
     return { ...Config.current, ...config }
   })
   const [activeTab, setActiveTab] = useState('data')
   const [showDebugTab, setShowDebugTab] = useState(false)
+  const [dragIndex, setDragIndex] = useState(null)
   const [fontOptions, setFontOptions] = useState(() => Config.fontFamilies)
   const debugContentRef = useRef(null)
 
@@ -64,17 +67,54 @@ function SettingsDialog({ config, columns = [], onSave, onApply, onClose, isDial
     if (palette && palette.colors.length >= 3) {
       setLocalConfig(prev => ({
         ...prev,
-        colorPalette: paletteId,
-        bar1Color: palette.colors[0],
-        bar2Color: palette.colors[1],
-        lineColor: palette.colors[2],
-        pointFill: palette.colors[2],
-        bar1BorderColor: Config.darkenColor(palette.colors[0], 20),
-        bar2BorderColor: Config.darkenColor(palette.colors[1], 20)
+        ...Config.getPaletteColors(paletteId,
+          getSeriesSlots(prev, 'bar', 2).map(slot => slot.key),
+          getSeriesSlots(prev, 'line', 1).map(slot => slot.key))
       }))
     }
   }
 
+  // Measure lists are ordered; each field keeps its series key (bar1, bar2, ... / line, line2, ...)
+  // when the list changes, so its settings stay with it
+  const barMeasures = localConfig.barMeasures || []
+  const lineMeasures = localConfig.lineMeasures || []
+  const updateMeasures = (listKey, list) => setLocalConfig(prev => withMapping(prev, { [listKey]: list }))
+  const addMeasure = (listKey, field) => updateMeasures(listKey, [...(localConfig[listKey] || []), field])
+  const replaceMeasure = (listKey, index, field) =>
+    updateMeasures(listKey, (localConfig[listKey] || []).map((f, i) => i === index ? field : f))
+  const removeMeasure = (listKey, index) =>
+    updateMeasures(listKey, (localConfig[listKey] || []).filter((_, i) => i !== index))
+
+  // Series shown in the styling, Labels and Tooltip tabs: every mapped measure,
+  // and always Bar 1, Bar 2 and Line 1 so they can be styled before mapping
+  const barSlots = getSeriesSlots(localConfig, 'bar', 2).map(slot => ({ ...slot, label: `Bar ${slot.index + 1}` }))
+  const lineSlots = getSeriesSlots(localConfig, 'line', 1).map(slot => ({
+    ...slot,
+    label: lineMeasures.length > 1 ? `Line ${slot.index + 1}` : 'Line'
+  }))
+
+  // Bin layout of the loaded category range at the chosen width, to show when the width
+  // is widened to stay within MAX_BINS
+  const binLayout = categoryRange?.extent && categoryRange.dimension === localConfig.dimension &&
+    localConfig.xAxisBinWidth > 0
+    ? getBinLayout(...categoryRange.extent, { mode: 'width', width: localConfig.xAxisBinWidth })
+    : null
+
+  // Manual category order: saved order first (current categories only), then categories
+  // not placed yet in data order. Saved categories that are filtered out are kept at the end.
+  const savedOrder = (localConfig.xAxisManualOrder || []).map(String)
+  const manualCategories = categories.length > 0
+    ? [...savedOrder.filter(c => categories.includes(c)), ...categories.filter(c => !savedOrder.includes(c))]
+    : savedOrder
+  const subtotals = (localConfig.waterfallSubtotals || []).map(String)
+  const moveCategory = (from, to) => {
+    if (from === to) return
+    const order = [...manualCategories]
+    const [moved] = order.splice(from, 1)
+    order.splice(to, 0, moved)
+    updateConfig('xAxisManualOrder', [...order, ...savedOrder.filter(c => !order.includes(c))])
+  }
+
   const updateFont = (fontKey, prop, value) => {
     setLocalConfig(prev => ({
       ...prev,
@@ -139,10 +179,7 @@ function SettingsDialog({ config, columns = [], onSave, onApply, onClose, isDial
     const displayName = customLabel || getDisplayName(type, fieldNames, localConfig)
 
     // Don't show if no field is mapped
-    const fieldName = type === 'bar1' ? localConfig.bar1Measure
-      : type === 'bar2' ? localConfig.bar2Measure
-      : type === 'line' ? localConfig.lineMeasure
-      : null
+    const fieldName = type ? fieldNames[type] : null
 
     if (!fieldName && !customLabel) return null
 
@@ -203,13 +240,136 @@ function SettingsDialog({ config, columns = [], onSave, onApply, onClose, isDial
     )
   }
 
+  // Measure Values: each pivoted measure name is assigned to the bars, the lines or hidden.
+  // The role is saved so it survives data refreshes, and applied to the measure lists directly.
+  const measureNames = columns.filter(col => col.measureName).map(col => col.fieldName)
+  const getRoleOf = (name, cfg = localConfig) =>
+    (cfg.barMeasures || []).includes(name) ? 'bar' : (cfg.lineMeasures || []).includes(name) ? 'line' : 'hidden'
+  const setMeasureNameRole = (name, role) => {
+    setLocalConfig(prev => {
+      const roleOf = (n) => n === name ? role : getRoleOf(n, prev)
+      // Regular fields keep their place; measure names follow in data order, as the marks card mapping does
+      const rebuild = (list, listRole) => [
+        ...(list || []).filter(f => !measureNames.includes(f)),
+        ...measureNames.filter(n => roleOf(n) === listRole)
+      ]
+      return withMapping(prev, {
+        measureNameRoles: { ...prev.measureNameRoles, [name]: role },
+        barMeasures: rebuild(prev.barMeasures, 'bar'),
+        lineMeasures: rebuild(prev.lineMeasures, 'line')
+      })
+    })
+  }
+
+  // Ordered measure list for a multi-field role (bars or lines) — one select per series plus an "add" select
+  const MeasureListCard = ({ label, listKey, seriesLabel }) => {
+    const fields = localConfig[listKey] || []
+    return (
+      <div className="field-card">
+        <div className="field-card-label">{label}</div>
+        {fields.map((field, i) => (
+          <div key={i} className="field-card-row">
+            <select value={field} title={`${seriesLabel} ${i + 1}`}
+              onChange={(e) => replaceMeasure(listKey, i, e.target.value)}>
+              {getAvailableMeasures(field).map(m => (
+                <option key={m.fieldName} value={m.fieldName}>{m.fieldName}</option>
+              ))}
+            </select>
+            <button type="button" className="btn-remove" title="Remove measure"
+              onClick={() => removeMeasure(listKey, i)}>&times;</button>
+          </div>
+        ))}
+        <select value=""
+          onChange={(e) => e.target.value && addMeasure(listKey, e.target.value)}>
+          <option value="">{fields.length > 0 ? 'Add measure...' : 'None'}</option>
+          {getAvailableMeasures('').map(m => (
+            <option key={m.fieldName} value={m.fieldName}>{m.fieldName}</option>
+          ))}
+        </select>
+      </div>
+    )
+  }
+
+  // Per-series data handling: how duplicate rows are combined and how missing values are shown
+  const SeriesDataControls = ({ seriesKey, indent = false }) => (
+    <div className={indent ? 'form-row indent' : 'form-row'}>
+      <div className="form-group">
+        <label className="form-label">Aggregation</label>
+        <select value={localConfig[seriesKey + 'Aggregation'] || 'sum'}
+          onChange={(e) => updateConfig(seriesKey + 'Aggregation', e.target.value)}>
+          <option value="sum">Sum</option>
+          <option value="avg">Average</option>
+          <option value="min">Minimum</option>
+          <option value="max">Maximum</option>
+          <option value="count">Count</option>
+          <option value="first">First</option>
+        </select>
+      </div>
+      <div className="form-group">
+        <label className="form-label">Missing Values</label>
+        <select value={localConfig[seriesKey + 'NullMode'] || 'zero'}
+          onChange={(e) => updateConfig(seriesKey + 'NullMode', e.target.value)}>
+          <option value="zero">Show as zero</option>
+          <option value="gap">Leave gap</option>
+          <option value="interpolate">Interpolate</option>
+          <option value="carry">Carry last value forward</option>
+          <option value="hide">Hide category</option>
+        </select>
+      </div>
+    </div>
+  )
+
+  // Value axis a measure is drawn on in dual mode. Only grouped bars can leave the left axis.
+  const canMoveAxis = (key) => getMarkType(localConfig, key) !== 'bar' || localConfig.barStyle === 'grouped'
+  const getSeriesAxis = ({ key, index }) => canMoveAxis(key) ? getLineStyle(localConfig, key, index).axis : 'left'
+
+  // Mark type and value axis of a bar or line measure
+  const MarkTypeControls = ({ seriesKey, index }) => {
+    const markType = getMarkType(localConfig, seriesKey)
+    const style = getLineStyle(localConfig, seriesKey, index)
+    return (
+      <>
+        <div className="form-row indent">
+          <div className="form-group">
+            <label className="form-label">Mark Type</label>
+            <select value={markType}
+              onChange={(e) => updateConfig(seriesKey + 'MarkType', e.target.value)}>
+              <option value="bar">Bar</option>
+              <option value="line">Line</option>
+              <option value="area">Area</option>
+              <option value="step">Step</option>
+              <option value="dots">Dots</option>
+            </select>
+          </div>
+          {canMoveAxis(seriesKey) && localConfig.axisMode === 'dual' && (
+            <div className="form-group">
+              <label className="form-label">Axis</label>
+              <select value={style.axis}
+                onChange={(e) => updateConfig(seriesKey + 'Axis', e.target.value)}>
+                <option value="left">Left</option>
+                <option value="right">Right</option>
+              </select>
+            </div>
+          )}
+        </div>
+        {markType === 'area' && (
+          <div className="form-group indent">
+            <label className="form-label">Area Opacity</label>
+            <NumberStepper value={Math.round(style.areaOpacity * 100)} min={0} max={100} step={10} suffix="%"
+              onChange={(v) => updateConfig(seriesKey + 'AreaOpacity', v / 100)} />
+          </div>
+        )}
+      </>
+    )
+  }
+
   const hasChanges = JSON.stringify(localConfig) !== JSON.stringify(config)
 
   const tabs = [
     { id: 'data', label: 'Data' },
     { id: 'general', label: 'General' },
     { id: 'bars', label: 'Bars' },
-    { id: 'line', label: 'Line' },
+    { id: 'line', label: 'Lines' },
     { id: 'axes', label: 'Axes' },
     { id: 'title', label: 'Title & Grid' },
     { id: 'labels', label: 'Labels' },
@@ -218,14 +378,18 @@ function SettingsDialog({ config, columns = [], onSave, onApply, onClose, isDial
     ...(showDebugTab ? [{ id: 'debug', label: 'Debug' }] : [])
   ]
 
+  // Numeric fields count as dimensions when they are not aggregated (a discrete year,
+  // a whole-number code) or are already mapped as one
   const dimensions = columns.filter(col =>
-    col.dataType === 'string' || col.dataType === 'date' || col.dataType === 'date-time'
+    col.dataType === 'string' || col.dataType === 'date' || col.dataType === 'date-time' ||
+    ((col.dataType === 'int' || col.dataType === 'float') && !col.measureName &&
+      (!isAggregatedField(col.fieldName) || col.fieldName === localConfig.dimension || col.fieldName === localConfig.seriesDimension))
   )
   const measures = columns.filter(col =>
     col.dataType === 'float' || col.dataType === 'int'
   )
   const getAvailableMeasures = (currentField) => {
-    const selected = [localConfig.bar1Measure, localConfig.bar2Measure, localConfig.lineMeasure].filter(f => f && f !== currentField)
+    const selected = [...barMeasures, ...lineMeasures].filter(f => f && f !== currentField)
     return measures.filter(m => !selected.includes(m.fieldName))
   }
 
@@ -273,37 +437,177 @@ function SettingsDialog({ config, columns = [], onSave, onApply, onClose, isDial
                     </select>
                   </div>
                   <div className="field-card">
-                    <div className="field-card-label">Bar 1 Measure</div>
-                    <select value={localConfig.bar1Measure}
-                      onChange={(e) => updateConfig('bar1Measure', e.target.value)}>
-                      <option value="">None</option>
-                      {getAvailableMeasures(localConfig.bar1Measure).map(m => (
-                        <option key={m.fieldName} value={m.fieldName}>{m.fieldName}</option>
-                      ))}
-                    </select>
-                  </div>
-                  <div className="field-card">
-                    <div className="field-card-label">Bar 2 Measure</div>
-                    <select value={localConfig.bar2Measure}
-                      onChange={(e) => updateConfig('bar2Measure', e.target.value)}>
+                    <div className="field-card-label">Series / Color</div>
+                    <select value={localConfig.seriesDimension || ''}
+                      onChange={(e) => updateConfig('seriesDimension', e.target.value)}>
                       <option value="">None</option>
-                      {getAvailableMeasures(localConfig.bar2Measure).map(m => (
-                        <option key={m.fieldName} value={m.fieldName}>{m.fieldName}</option>
-                      ))}
-                    </select>
-                  </div>
-                  <div className="field-card">
-                    <div className="field-card-label">Line Measure</div>
-                    <select value={localConfig.lineMeasure}
-                      onChange={(e) => updateConfig('lineMeasure', e.target.value)}>
-                      <option value="">None</option>
-                      {getAvailableMeasures(localConfig.lineMeasure).map(m => (
-                        <option key={m.fieldName} value={m.fieldName}>{m.fieldName}</option>
+                      {dimensions.filter(dim => dim.fieldName !== localConfig.dimension).map(dim => (
+                        <option key={dim.fieldName} value={dim.fieldName}>{dim.fieldName}</option>
                       ))}
                     </select>
                   </div>
+                  <MeasureListCard label="Bar Measures" listKey="barMeasures" seriesLabel="Bar" />
+                  <MeasureListCard label="Line Measures" listKey="lineMeasures" seriesLabel="Line" />
                 </div>
 
+                {duplicateCategories?.count > 0 &&
+                  duplicateCategories.dimension === localConfig.dimension &&
+                  duplicateCategories.seriesDimension === (localConfig.seriesDimension || '') && (
+                  <div className="info-banner warning">
+                    <div className="info-banner-content">
+                      <strong>Duplicate categories</strong>
+                      <span>
+                        {duplicateCategories.count} {duplicateCategories.count === 1 ? 'category appears' : 'categories appear'} in
+                        more than one row (e.g. {duplicateCategories.examples.join(', ')}), usually because of an extra
+                        dimension on the marks card. Their values are combined using each series' Aggregation setting
+                        in the Bars and Lines tabs.
+                      </span>
+                    </div>
+                  </div>
+                )}
+
+                {measureNames.length > 0 && (
+                  <>
+                    <div className="section-label">Measure Values</div>
+                    <p className="help-text" style={{ marginTop: -4 }}>
+                      Measure Values is on the marks card. Choose how each measure is drawn.
+                    </p>
+                    {measureNames.map(name => (
+                      <div key={name} className="form-row indent">
+                        <div className="form-group">
+                          <label className="form-label">{cleanFieldName(name)}</label>
+                          <select value={getRoleOf(name)}
+                            onChange={(e) => setMeasureNameRole(name, e.target.value)}>
+                            <option value="bar">Bar</option>
+                            <option value="line">Line</option>
+                            <option value="hidden">Hidden</option>
+                          </select>
+                        </div>
+                      </div>
+                    ))}
+                  </>
+                )}
+
+                <div className="section-label">Top N</div>
+                <label className="check-row">
+                  <input type="checkbox" checked={!!localConfig.topNEnabled}
+                    onChange={(e) => updateConfig('topNEnabled', e.target.checked)} />
+                  <span>Show Top N Categories Only</span>
+                </label>
+                {localConfig.topNEnabled && (
+                  <>
+                    <div className="form-row indent">
+                      <div className="form-group">
+                        <label className="form-label">Count</label>
+                        <NumberStepper value={localConfig.topN} min={1} max={200}
+                          onChange={(v) => updateConfig('topN', v)} />
+                      </div>
+                      <div className="form-group">
+                        <label className="form-label">Rank By</label>
+                        <select value={resolveSeriesMeasure(localConfig, localConfig.topNMeasure)}
+                          onChange={(e) => updateConfig('topNMeasure', e.target.value)}>
+                          {[...barSlots, ...lineSlots].map(({ key, label }) => (
+                            <option key={key} value={key}>{label}</option>
+                          ))}
+                          <option value="barTotal">Bar Total</option>
+                        </select>
+                      </div>
+                    </div>
+                    <label className="check-row indent">
+                      <input type="checkbox" checked={localConfig.topNShowOthers !== false}
+                        onChange={(e) => updateConfig('topNShowOthers', e.target.checked)} />
+                      <span>Group the Rest as Others</span>
+                    </label>
+                    {localConfig.topNShowOthers !== false && (
+                      <div className="form-row indent">
+                        <div className="form-group">
+                          <label className="form-label">Label</label>
+                          <input type="text" value={localConfig.topNOthersLabel} placeholder="Others"
+                            onChange={(e) => updateConfig('topNOthersLabel', e.target.value)} />
+                        </div>
+                        <div className="form-group">
+                          <label className="form-label">Line Value</label>
+                          <select value={localConfig.topNLineAggregation}
+                            onChange={(e) => updateConfig('topNLineAggregation', e.target.value)}>
+                            <option value="sum">Sum</option>
+                            <option value="avg">Average</option>
+                            <option value="weighted">Weighted Average</option>
+                          </select>
+                        </div>
+                        {localConfig.topNLineAggregation === 'weighted' && (
+                          <div className="form-group">
+                            <label className="form-label">Weight By</label>
+                            <select value={localConfig.topNWeightMeasure}
+                              onChange={(e) => updateConfig('topNWeightMeasure', e.target.value)}>
+                              {barSlots.map(({ key, label }) => (
+                                <option key={key} value={key}>{label}</option>
+                              ))}
+                              <option value="barTotal">Bar Total</option>
+                            </select>
+                          </div>
+                        )}
+                      </div>
+                    )}
+                    <p className="help-text indent">
+                      Applies to a category axis. Bars in Others are summed; Others stays last in any sort order.
+                    </p>
+                  </>
+                )}
+
+                <div className="section-label">Pareto</div>
+                <label className="check-row">
+                  <input type="checkbox" checked={!!localConfig.paretoEnabled}
+                    onChange={(e) => updateConfig('paretoEnabled', e.target.checked)} />
+                  <span>Pareto Chart</span>
+                </label>
+                {localConfig.paretoEnabled && (
+                  <>
+                    <div className="form-row indent">
+                      <div className="form-group">
+                        <label className="form-label">Measure</label>
+                        <select value={localConfig.paretoMeasure}
+                          onChange={(e) => updateConfig('paretoMeasure', e.target.value)}>
+                          {barSlots.map(({ key, label }) => (
+                            <option key={key} value={key}>{label}</option>
+                          ))}
+                          <option value="barTotal">Bar Total</option>
+                        </select>
+                      </div>
+                      <div className="color-item compact">
+                        <label>Line Color</label>
+                        <input type="color" value={localConfig.paretoColor}
+                          onChange={(e) => updateConfig('paretoColor', e.target.value)} />
+                      </div>
+                    </div>
+                    <label className="check-row indent">
+                      <input type="checkbox" checked={localConfig.paretoShowReference !== false}
+                        onChange={(e) => updateConfig('paretoShowReference', e.target.checked)} />
+                      <span>Show Reference Line</span>
+                    </label>
+                    <label className="check-row indent">
+                      <input type="checkbox" checked={localConfig.paretoShowCutoff !== false}
+                        onChange={(e) => updateConfig('paretoShowCutoff', e.target.checked)} />
+                      <span>Show Cutoff Marker</span>
+                    </label>
+                    <div className="form-row indent">
+                      <div className="form-group">
+                        <label className="form-label">Reference</label>
+                        <NumberStepper value={localConfig.paretoReferenceValue} min={1} max={99} suffix="%"
+                          onChange={(v) => updateConfig('paretoReferenceValue', v)} />
+                      </div>
+                      <div className="color-item compact">
+                        <label>Color</label>
+                        <input type="color" value={localConfig.paretoReferenceColor}
+                          onChange={(e) => updateConfig('paretoReferenceColor', e.target.value)} />
+                      </div>
+                    </div>
+                    <p className="help-text indent">
+                      Bars are sorted descending (overrides Sort Order) and the cumulative % is drawn on the right axis.
+                      Other lines move to the left axis.
+                    </p>
+                  </>
+                )}
+
                 {localConfig.useManualMapping && (
                   <div className="info-banner warning">
                     <div className="info-banner-content">
@@ -320,10 +624,9 @@ function SettingsDialog({ config, columns = [], onSave, onApply, onClose, isDial
                 {(() => {
                   const unmapped = []
                   if (!localConfig.dimension) unmapped.push('Category')
-                  if (!localConfig.bar1Measure) unmapped.push('Bar 1')
-                  if (!localConfig.bar2Measure) unmapped.push('Bar 2')
-                  if (!localConfig.lineMeasure) unmapped.push('Line')
-                  if (unmapped.length > 0 && unmapped.length < 4) {
+                  if (barMeasures.length === 0) unmapped.push('Bars')
+                  if (lineMeasures.length === 0) unmapped.push('Lines')
+                  if (unmapped.length > 0 && unmapped.length < 3) {
                     return (
                       <div className="info-banner info">
                         <div className="info-banner-content">
@@ -390,42 +693,34 @@ function SettingsDialog({ config, columns = [], onSave, onApply, onClose, isDial
                 <div className="divider" />
                 <div className="section-label">Custom Labels</div>
                 <p className="help-text">Override legend labels for each measure. Leave blank to use measure name.</p>
-                <div className="form-group">
-                  <label className="form-label">
-                    Bar 1
-                    {localConfig.bar1Measure && (
-                      <span style={{ marginLeft: 6, color: 'var(--color-text-secondary)', fontSize: 11, fontWeight: 400 }}>
-                        ({cleanFieldName(localConfig.bar1Measure)})
-                      </span>
-                    )}
-                  </label>
-                  <input type="text" value={localConfig.legendBar1Label} placeholder="Use measure name"
-                    onChange={(e) => updateConfig('legendBar1Label', e.target.value)} />
-                </div>
-                <div className="form-group">
-                  <label className="form-label">
-                    Bar 2
-                    {localConfig.bar2Measure && (
-                      <span style={{ marginLeft: 6, color: 'var(--color-text-secondary)', fontSize: 11, fontWeight: 400 }}>
-                        ({cleanFieldName(localConfig.bar2Measure)})
-                      </span>
-                    )}
-                  </label>
-                  <input type="text" value={localConfig.legendBar2Label} placeholder="Use measure name"
-                    onChange={(e) => updateConfig('legendBar2Label', e.target.value)} />
-                </div>
-                <div className="form-group">
-                  <label className="form-label">
-                    Line
-                    {localConfig.lineMeasure && (
-                      <span style={{ marginLeft: 6, color: 'var(--color-text-secondary)', fontSize: 11, fontWeight: 400 }}>
-                        ({cleanFieldName(localConfig.lineMeasure)})
-                      </span>
-                    )}
-                  </label>
-                  <input type="text" value={localConfig.legendLineLabel} placeholder="Use measure name"
-                    onChange={(e) => updateConfig('legendLineLabel', e.target.value)} />
-                </div>
+                {barSlots.map(({ key, label, field }) => (
+                  <div key={key} className="form-group">
+                    <label className="form-label">
+                      {label}
+                      {field && (
+                        <span style={{ marginLeft: 6, color: 'var(--color-text-secondary)', fontSize: 11, fontWeight: 400 }}>
+                          ({cleanFieldName(field)})
+                        </span>
+                      )}
+                    </label>
+                    <input type="text" value={localConfig[getLabelKey(key)] || ''} placeholder="Use measure name"
+                      onChange={(e) => updateConfig(getLabelKey(key), e.target.value)} />
+                  </div>
+                ))}
+                {lineSlots.map(({ key, label, field }) => (
+                  <div key={key} className="form-group">
+                    <label className="form-label">
+                      {label}
+                      {field && (
+                        <span style={{ marginLeft: 6, color: 'var(--color-text-secondary)', fontSize: 11, fontWeight: 400 }}>
+                          ({cleanFieldName(field)})
+                        </span>
+                      )}
+                    </label>
+                    <input type="text" value={localConfig[getLabelKey(key)] || ''} placeholder="Use measure name"
+                      onChange={(e) => updateConfig(getLabelKey(key), e.target.value)} />
+                  </div>
+                ))}
 
                 <div className="divider" />
                 <div className="section-label">Animation</div>
@@ -459,6 +754,61 @@ function SettingsDialog({ config, columns = [], onSave, onApply, onClose, isDial
                   </div>
                 )}
 
+                <div className="divider" />
+                <div className="section-label">Rendering</div>
+
+                <div className="form-row">
+                  <div className="form-group">
+                    <label className="form-label">Renderer</label>
+                    <select value={localConfig.renderer}
+                      onChange={(e) => updateConfig('renderer', e.target.value)}>
+                      <option value="auto">Auto</option>
+                      <option value="svg">SVG</option>
+                      <option value="canvas">Canvas</option>
+                    </select>
+                  </div>
+                  {localConfig.renderer === 'auto' && (
+                    <div className="form-group">
+                      <label className="form-label">Canvas Above</label>
+                      <NumberStepper value={localConfig.canvasThreshold} min={500} max={50000} step={500} suffix=" marks"
+                        onChange={(v) => updateConfig('canvasThreshold', v)} />
+                    </div>
+                  )}
+                </div>
+                <p className="help-text">Canvas draws large charts much faster. Marks are not animated on canvas.</p>
+
+                <div className="divider" />
+                <div className="section-label">Small Tiles</div>
+
+                <label className="check-row">
+                  <input type="checkbox" checked={localConfig.responsiveEnabled !== false}
+                    onChange={(e) => updateConfig('responsiveEnabled', e.target.checked)} />
+                  <span>Simplify Chart on Small Tiles</span>
+                </label>
+
+                {localConfig.responsiveEnabled !== false && (
+                  <>
+                    <div className="form-row indent">
+                      <div className="form-group">
+                        <label className="form-label">Hide Axis Titles Below</label>
+                        <NumberStepper value={localConfig.breakpointTitles} min={0} max={2000} step={20} suffix="px"
+                          onChange={(v) => updateConfig('breakpointTitles', v)} />
+                      </div>
+                      <div className="form-group">
+                        <label className="form-label">Thin Ticks Below</label>
+                        <NumberStepper value={localConfig.breakpointTicks} min={0} max={2000} step={20} suffix="px"
+                          onChange={(v) => updateConfig('breakpointTicks', v)} />
+                      </div>
+                      <div className="form-group">
+                        <label className="form-label">Hide Labels Below</label>
+                        <NumberStepper value={localConfig.breakpointLabels} min={0} max={2000} step={20} suffix="px"
+                          onChange={(v) => updateConfig('breakpointLabels', v)} />
+                      </div>
+                    </div>
+                    <p className="help-text">Compared against the chart width or height. Ticks thin per axis: x by width, y by height. Set 0 to turn a rule off.</p>
+                  </>
+                )}
+
                 <div className="divider" />
                 <div className="section-label">Dashboard Controls</div>
                 <p className="help-text">Control visibility of header buttons when embedded in a dashboard.</p>
@@ -490,9 +840,134 @@ function SettingsDialog({ config, columns = [], onSave, onApply, onClose, isDial
                     onChange={(e) => updateConfig('barStyle', e.target.value)}>
                     <option value="grouped">Grouped</option>
                     <option value="stacked">Stacked</option>
+                    <option value="stacked100">100% Stacked</option>
+                    <option value="waterfall">Waterfall</option>
+                    <option value="overlap">Overlap (Bar 2 Behind)</option>
+                    <option value="target">Target Marker (Bar 2)</option>
                   </select>
                 </div>
 
+                {(localConfig.barStyle === 'overlap' || localConfig.barStyle === 'target') && (
+                  <>
+                    <div className="form-row indent">
+                      <div className="form-group">
+                        <label className="form-label">Bar 1 Width</label>
+                        {localConfig.barStyle === 'overlap' ? (
+                          <NumberStepper value={Math.round(localConfig.barOverlapRatio * 100)} min={10} max={100} step={5} suffix="%"
+                            onChange={(v) => updateConfig('barOverlapRatio', v / 100)} />
+                        ) : (
+                          <NumberStepper value={Math.round(localConfig.barTargetRatio * 100)} min={10} max={100} step={5} suffix="%"
+                            onChange={(v) => updateConfig('barTargetRatio', v / 100)} />
+                        )}
+                      </div>
+                      {localConfig.barStyle === 'target' && (
+                        <div className="form-group">
+                          <label className="form-label">Marker Thickness</label>
+                          <NumberStepper value={localConfig.barTargetThickness} min={1} max={10} suffix="px"
+                            onChange={(v) => updateConfig('barTargetThickness', v)} />
+                        </div>
+                      )}
+                    </div>
+                    <label className="check-row indent">
+                      <input type="checkbox" checked={localConfig.barCompareTooltip !== false}
+                        onChange={(e) => updateConfig('barCompareTooltip', e.target.checked)} />
+                      <span>Compare Bars in Tooltip</span>
+                    </label>
+                    <p className="help-text indent">
+                      Bar 1 is the actual value and Bar 2 the target, drawn {localConfig.barStyle === 'overlap'
+                        ? 'as a full-width bar behind Bar 1' : 'as a marker across the band'}. Width is relative
+                      to Bar 2. Other bar measures and Series/Color splits are ignored.
+                    </p>
+                  </>
+                )}
+
+                {localConfig.barStyle === 'waterfall' && (
+                  <>
+                    <div className="inline-row indent">
+                      <div className="color-item compact">
+                        <label>Increase</label>
+                        <input type="color" value={localConfig.waterfallIncreaseColor}
+                          onChange={(e) => updateConfig('waterfallIncreaseColor', e.target.value)} />
+                      </div>
+                      <div className="color-item compact">
+                        <label>Decrease</label>
+                        <input type="color" value={localConfig.waterfallDecreaseColor}
+                          onChange={(e) => updateConfig('waterfallDecreaseColor', e.target.value)} />
+                      </div>
+                      <div className="color-item compact">
+                        <label>Total</label>
+                        <input type="color" value={localConfig.waterfallTotalColor}
+                          onChange={(e) => updateConfig('waterfallTotalColor', e.target.value)} />
+                      </div>
+                    </div>
+                    <div className="inline-row indent">
+                      <label className="check-row">
+                        <input type="checkbox" checked={localConfig.waterfallConnectors !== false}
+                          onChange={(e) => updateConfig('waterfallConnectors', e.target.checked)} />
+                        <span>Connector Lines</span>
+                      </label>
+                      {localConfig.waterfallConnectors !== false && (
+                        <div className="color-item compact">
+                          <label>Color</label>
+                          <input type="color" value={localConfig.waterfallConnectorColor}
+                            onChange={(e) => updateConfig('waterfallConnectorColor', e.target.value)} />
+                        </div>
+                      )}
+                    </div>
+                    <label className="check-row indent">
+                      <input type="checkbox" checked={!!localConfig.waterfallFirstIsTotal}
+                        onChange={(e) => updateConfig('waterfallFirstIsTotal', e.target.checked)} />
+                      <span>First Category Is a Starting Total</span>
+                    </label>
+                    <div className="inline-row indent">
+                      <label className="check-row">
+                        <input type="checkbox" checked={localConfig.waterfallShowTotal !== false}
+                          onChange={(e) => updateConfig('waterfallShowTotal', e.target.checked)} />
+                        <span>Total Bar</span>
+                      </label>
+                      {localConfig.waterfallShowTotal !== false && (
+                        <input type="text" value={localConfig.waterfallTotalLabel} placeholder="Total"
+                          onChange={(e) => updateConfig('waterfallTotalLabel', e.target.value)} />
+                      )}
+                    </div>
+                    {categories.length > 0 && (
+                      <div className="form-group indent">
+                        <label className="form-label">Subtotal Categories</label>
+                        <ul className="category-order-list">
+                          {categories.map(category => (
+                            <li key={category} className="category-order-item selectable">
+                              <label className="check-row">
+                                <input type="checkbox" checked={subtotals.includes(category)}
+                                  onChange={(e) => updateConfig('waterfallSubtotals', e.target.checked
+                                    ? [...subtotals, category]
+                                    : subtotals.filter(c => c !== category))} />
+                                <span>{category}</span>
+                              </label>
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    )}
+                    <p className="help-text indent">
+                      The first bar measure floats on its running total. Subtotal categories show the running
+                      total so far instead of their own value. Series/Color splits and Pareto are ignored.
+                    </p>
+                  </>
+                )}
+
+                {localConfig.barStyle === 'stacked100' && (
+                  <p className="help-text">
+                    Each bar shows its share of the category total on a percent axis; lines move to the right axis.
+                  </p>
+                )}
+
+                {localConfig.seriesDimension && localConfig.barStyle !== 'waterfall' && (
+                  <p className="help-text">
+                    Bars are split by <strong>{cleanFieldName(localConfig.seriesDimension)}</strong>; each value takes
+                    its fill from the color palette. Border, corner and label settings below still apply per bar measure.
+                  </p>
+                )}
+
                 <div className="divider" />
                 <div className="section-label">Spacing</div>
 
@@ -517,89 +992,56 @@ function SettingsDialog({ config, columns = [], onSave, onApply, onClose, isDial
                   </div>
                 )}
 
-                <div className="divider" />
-                <div className="section-label">
-                  Bar 1
-                  <FieldBadge type="bar1" />
-                </div>
-                <div className="inline-row indent">
-                  <div className="color-item compact">
-                    <label>Fill</label>
-                    <input type="color" value={localConfig.bar1Color}
-                      onChange={(e) => updateConfig('bar1Color', e.target.value)} />
-                  </div>
-                  <div className="form-group compact">
-                    <label className="form-label">Opacity</label>
-                    <NumberStepper value={Math.round(localConfig.bar1Opacity * 100)} min={0} max={100} step={10} suffix="%"
-                      onChange={(v) => updateConfig('bar1Opacity', v / 100)} />
-                  </div>
-                </div>
-                <label className="check-row">
-                  <input type="checkbox" checked={localConfig.bar1ShowBorder}
-                    onChange={(e) => updateConfig('bar1ShowBorder', e.target.checked)} />
-                  <span>Show Border</span>
-                </label>
-                {localConfig.bar1ShowBorder && (
-                  <div className="inline-row indent">
-                    <div className="color-item compact">
-                      <label>Color</label>
-                      <input type="color" value={localConfig.bar1BorderColor}
-                        onChange={(e) => updateConfig('bar1BorderColor', e.target.value)} />
-                    </div>
-                    <div className="form-group compact">
-                      <label className="form-label">Width</label>
-                      <NumberStepper value={localConfig.bar1BorderWidth} min={1} max={5} suffix="px"
-                        onChange={(v) => updateConfig('bar1BorderWidth', v)} />
-                    </div>
-                  </div>
-                )}
-                <div className="form-group">
-                  <label className="form-label">Corner Radius</label>
-                  <NumberStepper value={localConfig.bar1CornerRadius} min={0} max={10} suffix="px"
-                    onChange={(v) => updateConfig('bar1CornerRadius', v)} />
-                </div>
-
-                <div className="divider" />
-                <div className="section-label">
-                  Bar 2
-                  <FieldBadge type="bar2" />
-                </div>
-                <div className="inline-row indent">
-                  <div className="color-item compact">
-                    <label>Fill</label>
-                    <input type="color" value={localConfig.bar2Color}
-                      onChange={(e) => updateConfig('bar2Color', e.target.value)} />
-                  </div>
-                  <div className="form-group compact">
-                    <label className="form-label">Opacity</label>
-                    <NumberStepper value={Math.round(localConfig.bar2Opacity * 100)} min={0} max={100} step={10} suffix="%"
-                      onChange={(v) => updateConfig('bar2Opacity', v / 100)} />
-                  </div>
-                </div>
-                <label className="check-row">
-                  <input type="checkbox" checked={localConfig.bar2ShowBorder}
-                    onChange={(e) => updateConfig('bar2ShowBorder', e.target.checked)} />
-                  <span>Show Border</span>
-                </label>
-                {localConfig.bar2ShowBorder && (
-                  <div className="inline-row indent">
-                    <div className="color-item compact">
-                      <label>Color</label>
-                      <input type="color" value={localConfig.bar2BorderColor}
-                        onChange={(e) => updateConfig('bar2BorderColor', e.target.value)} />
-                    </div>
-                    <div className="form-group compact">
-                      <label className="form-label">Width</label>
-                      <NumberStepper value={localConfig.bar2BorderWidth} min={1} max={5} suffix="px"
-                        onChange={(v) => updateConfig('bar2BorderWidth', v)} />
-                    </div>
-                  </div>
-                )}
-                <div className="form-group">
-                  <label className="form-label">Corner Radius</label>
-                  <NumberStepper value={localConfig.bar2CornerRadius} min={0} max={10} suffix="px"
-                    onChange={(v) => updateConfig('bar2CornerRadius', v)} />
-                </div>
+                {barSlots.map(({ key, index, label }) => {
+                  const style = getBarStyle(localConfig, key, index)
+                  return (
+                    <Fragment key={key}>
+                      <div className="divider" />
+                      <div className="section-label">
+                        {label}
+                        <FieldBadge type={key} />
+                      </div>
+                      <MarkTypeControls seriesKey={key} index={index} />
+                      <div className="inline-row indent">
+                        <div className="color-item compact">
+                          <label>Fill</label>
+                          <input type="color" value={style.color}
+                            onChange={(e) => updateConfig(key + 'Color', e.target.value)} />
+                        </div>
+                        <div className="form-group compact">
+                          <label className="form-label">Opacity</label>
+                          <NumberStepper value={Math.round(style.opacity * 100)} min={0} max={100} step={10} suffix="%"
+                            onChange={(v) => updateConfig(key + 'Opacity', v / 100)} />
+                        </div>
+                      </div>
+                      <label className="check-row">
+                        <input type="checkbox" checked={style.showBorder}
+                          onChange={(e) => updateConfig(key + 'ShowBorder', e.target.checked)} />
+                        <span>Show Border</span>
+                      </label>
+                      {style.showBorder && (
+                        <div className="inline-row indent">
+                          <div className="color-item compact">
+                            <label>Color</label>
+                            <input type="color" value={style.borderColor}
+                              onChange={(e) => updateConfig(key + 'BorderColor', e.target.value)} />
+                          </div>
+                          <div className="form-group compact">
+                            <label className="form-label">Width</label>
+                            <NumberStepper value={style.borderWidth} min={1} max={5} suffix="px"
+                              onChange={(v) => updateConfig(key + 'BorderWidth', v)} />
+                          </div>
+                        </div>
+                      )}
+                      <div className="form-group">
+                        <label className="form-label">Corner Radius</label>
+                        <NumberStepper value={style.cornerRadius} min={0} max={10} suffix="px"
+                          onChange={(v) => updateConfig(key + 'CornerRadius', v)} />
+                      </div>
+                      <SeriesDataControls seriesKey={key} />
+                    </Fragment>
+                  )
+                })}
               </div>
             )}
 
@@ -611,52 +1053,6 @@ function SettingsDialog({ config, columns = [], onSave, onApply, onClose, isDial
                   <p>Line style and data point markers</p>
                 </div>
 
-                <div className="section-label">
-                  Line
-                  <FieldBadge type="line" />
-                </div>
-
-                <div className="inline-row indent">
-                  <div className="color-item compact">
-                    <label>Color</label>
-                    <input type="color" value={localConfig.lineColor}
-                      onChange={(e) => updateConfig('lineColor', e.target.value)} />
-                  </div>
-                  <div className="form-group compact">
-                    <label className="form-label">Opacity</label>
-                    <NumberStepper value={Math.round(localConfig.lineOpacity * 100)} min={0} max={100} step={10} suffix="%"
-                      onChange={(v) => updateConfig('lineOpacity', v / 100)} />
-                  </div>
-                </div>
-
-                <div className="form-group">
-                  <label className="form-label">Width</label>
-                  <NumberStepper value={localConfig.lineWidth} min={1} max={10} suffix="px"
-                    onChange={(v) => updateConfig('lineWidth', v)} />
-                </div>
-
-                <div className="form-row">
-                  <div className="form-group">
-                    <label className="form-label">Style</label>
-                    <select value={localConfig.lineStyle}
-                      onChange={(e) => updateConfig('lineStyle', e.target.value)}>
-                      <option value="solid">Solid</option>
-                      <option value="dashed">Dashed</option>
-                      <option value="dotted">Dotted</option>
-                    </select>
-                  </div>
-                  <div className="form-group">
-                    <label className="form-label">Curve</label>
-                    <select value={localConfig.lineCurve}
-                      onChange={(e) => updateConfig('lineCurve', e.target.value)}>
-                      <option value="linear">Linear</option>
-                      <option value="monotone">Monotone</option>
-                      <option value="cardinal">Cardinal</option>
-                      <option value="step">Step</option>
-                    </select>
-                  </div>
-                </div>
-
                 <div className="form-group">
                   <label className="form-label">Vertical Position</label>
                   <select value={localConfig.lineVerticalPosition}
@@ -670,6 +1066,21 @@ function SettingsDialog({ config, columns = [], onSave, onApply, onClose, isDial
                   </select>
                 </div>
 
+                <div className="form-group">
+                  <label className="form-label">Downsampling</label>
+                  <select value={localConfig.lineDownsample}
+                    onChange={(e) => updateConfig('lineDownsample', e.target.value)}>
+                    <option value="none">None</option>
+                    <option value="lttb">LTTB (keep shape)</option>
+                    <option value="minmax">Min / Max per pixel</option>
+                  </select>
+                </div>
+                {localConfig.lineDownsample !== 'none' && (
+                  <p className="help-text" style={{ marginTop: -4 }}>
+                    Lines with more points than pixels are thinned before drawing. Tooltips still show the nearest raw value.
+                  </p>
+                )}
+
                 <div className="section-label">Points</div>
 
                 <label className="check-row">
@@ -679,43 +1090,100 @@ function SettingsDialog({ config, columns = [], onSave, onApply, onClose, isDial
                 </label>
 
                 {localConfig.showPoints && (
-                  <>
-                    <div className="form-row indent">
-                      <div className="form-group">
-                        <label className="form-label">Shape</label>
-                        <select value={localConfig.pointShape}
-                          onChange={(e) => updateConfig('pointShape', e.target.value)}>
-                          <option value="circle">Circle</option>
-                          <option value="square">Square</option>
-                          <option value="diamond">Diamond</option>
-                          <option value="triangle">Triangle</option>
-                        </select>
-                      </div>
-                      <div className="form-group">
-                        <label className="form-label">Size</label>
-                        <NumberStepper value={localConfig.pointSize} min={2} max={15} suffix="px"
-                          onChange={(v) => updateConfig('pointSize', v)} />
-                      </div>
+                  <div className="inline-row indent">
+                    <div className="form-group compact">
+                      <label className="form-label">Size</label>
+                      <NumberStepper value={localConfig.pointSize} min={2} max={15} suffix="px"
+                        onChange={(v) => updateConfig('pointSize', v)} />
                     </div>
-                    <div className="inline-row indent">
-                      <div className="color-item compact">
-                        <label>Fill</label>
-                        <input type="color" value={localConfig.pointFill}
-                          onChange={(e) => updateConfig('pointFill', e.target.value)} />
+                    <div className="color-item compact">
+                      <label>Stroke</label>
+                      <input type="color" value={localConfig.pointStroke}
+                        onChange={(e) => updateConfig('pointStroke', e.target.value)} />
+                    </div>
+                    <div className="form-group compact">
+                      <label className="form-label">Stroke Width</label>
+                      <NumberStepper value={localConfig.pointStrokeWidth} min={0} max={5} suffix="px"
+                        onChange={(v) => updateConfig('pointStrokeWidth', v)} />
+                    </div>
+                  </div>
+                )}
+
+                {lineSlots.map(({ key, index, label }) => {
+                  const style = getLineStyle(localConfig, key, index)
+                  return (
+                    <Fragment key={key}>
+                      <div className="divider" />
+                      <div className="section-label">
+                        {label}
+                        <FieldBadge type={key} />
                       </div>
-                      <div className="color-item compact">
-                        <label>Stroke</label>
-                        <input type="color" value={localConfig.pointStroke}
-                          onChange={(e) => updateConfig('pointStroke', e.target.value)} />
+                      <MarkTypeControls seriesKey={key} index={index} />
+
+                      <div className="inline-row indent">
+                        <div className="color-item compact">
+                          <label>Color</label>
+                          <input type="color" value={style.color}
+                            onChange={(e) => updateConfig(key + 'Color', e.target.value)} />
+                        </div>
+                        <div className="form-group compact">
+                          <label className="form-label">Opacity</label>
+                          <NumberStepper value={Math.round(style.opacity * 100)} min={0} max={100} step={10} suffix="%"
+                            onChange={(v) => updateConfig(key + 'Opacity', v / 100)} />
+                        </div>
+                        <div className="form-group compact">
+                          <label className="form-label">Width</label>
+                          <NumberStepper value={style.width} min={1} max={10} suffix="px"
+                            onChange={(v) => updateConfig(key + 'Width', v)} />
+                        </div>
                       </div>
-                      <div className="form-group compact">
-                        <label className="form-label">Stroke Width</label>
-                        <NumberStepper value={localConfig.pointStrokeWidth} min={0} max={5} suffix="px"
-                          onChange={(v) => updateConfig('pointStrokeWidth', v)} />
+
+                      <div className="form-row indent">
+                        <div className="form-group">
+                          <label className="form-label">Style</label>
+                          <select value={style.dash}
+                            onChange={(e) => updateConfig(key + 'Style', e.target.value)}>
+                            <option value="solid">Solid</option>
+                            <option value="dashed">Dashed</option>
+                            <option value="dotted">Dotted</option>
+                          </select>
+                        </div>
+                        <div className="form-group">
+                          <label className="form-label">Curve</label>
+                          <select value={style.curve}
+                            onChange={(e) => updateConfig(key + 'Curve', e.target.value)}>
+                            <option value="linear">Linear</option>
+                            <option value="monotone">Monotone</option>
+                            <option value="cardinal">Cardinal</option>
+                            <option value="step">Step</option>
+                          </select>
+                        </div>
                       </div>
-                    </div>
-                  </>
-                )}
+
+                      <SeriesDataControls seriesKey={key} indent />
+
+                      {(localConfig.showPoints || getMarkType(localConfig, key) === 'dots') && (
+                        <div className="inline-row indent">
+                          <div className="form-group compact">
+                            <label className="form-label">Point Shape</label>
+                            <select value={style.pointShape}
+                              onChange={(e) => updateConfig(getPointKey(key, 'Shape'), e.target.value)}>
+                              <option value="circle">Circle</option>
+                              <option value="square">Square</option>
+                              <option value="diamond">Diamond</option>
+                              <option value="triangle">Triangle</option>
+                            </select>
+                          </div>
+                          <div className="color-item compact">
+                            <label>Point Fill</label>
+                            <input type="color" value={style.pointFill}
+                              onChange={(e) => updateConfig(getPointKey(key, 'Fill'), e.target.value)} />
+                          </div>
+                        </div>
+                      )}
+                    </Fragment>
+                  )
+                })}
               </div>
             )}
 
@@ -727,6 +1195,21 @@ function SettingsDialog({ config, columns = [], onSave, onApply, onClose, isDial
                   <p>Axis mode, visibility, labels and range</p>
                 </div>
 
+                <div className="form-group">
+                  <label className="form-label">Orientation</label>
+                  <select value={localConfig.orientation || 'vertical'}
+                    onChange={(e) => updateConfig('orientation', e.target.value)}>
+                    <option value="vertical">Vertical (Columns)</option>
+                    <option value="horizontal">Horizontal (Bars)</option>
+                  </select>
+                  {localConfig.orientation === 'horizontal' && (
+                    <p className="help-text">
+                      Categories run down the left side; the left Y-axis settings apply to the bottom axis and the
+                      right Y-axis settings to the top axis.
+                    </p>
+                  )}
+                </div>
+
                 <div className="form-group">
                   <label className="form-label">Axis Mode</label>
                   <select value={localConfig.axisMode}
@@ -740,17 +1223,172 @@ function SettingsDialog({ config, columns = [], onSave, onApply, onClose, isDial
                       : 'All measures share a single left Y-axis.'}
                   </p>
                 </div>
-
-                {localConfig.axisMode === 'dual' && (
-                  <label className="check-row">
-                    <input type="checkbox" checked={localConfig.syncDualAxis}
-                      onChange={(e) => updateConfig('syncDualAxis', e.target.checked)} />
-                    <span>Sync Dual Axis Scales</span>
-                  </label>
+
+                {localConfig.axisMode === 'dual' && (
+                  <label className="check-row">
+                    <input type="checkbox" checked={localConfig.syncDualAxis}
+                      onChange={(e) => updateConfig('syncDualAxis', e.target.checked)} />
+                    <span>Sync Dual Axis Scales</span>
+                  </label>
+                )}
+
+                {localConfig.axisMode === 'dual' && !localConfig.syncDualAxis && (
+                  <div className="form-row">
+                    <div className="form-group">
+                      <label className="form-label">Align Axes</label>
+                      <select value={localConfig.yAxisAlign || 'none'}
+                        onChange={(e) => updateConfig('yAxisAlign', e.target.value)}>
+                        <option value="none">None</option>
+                        <option value="zero">At Zero</option>
+                        <option value="value">At Reference Value</option>
+                      </select>
+                    </div>
+                    {localConfig.yAxisAlign === 'value' && (
+                      <div className="form-group">
+                        <label className="form-label">Reference Value</label>
+                        <input type="number" value={localConfig.yAxisAlignValue ?? 0}
+                          onChange={(e) => updateConfig('yAxisAlignValue', e.target.value ? parseFloat(e.target.value) : 0)} />
+                      </div>
+                    )}
+                  </div>
+                )}
+
+                <div className="divider" />
+                <div className="section-label">X Axis</div>
+                <div className="form-row">
+                  <div className="form-group">
+                    <label className="form-label">Axis Type</label>
+                    <select value={localConfig.xAxisType || 'auto'}
+                      onChange={(e) => updateConfig('xAxisType', e.target.value)}>
+                      <option value="auto">Auto</option>
+                      <option value="category">Category</option>
+                      <option value="time">Time</option>
+                      <option value="linear">Numeric</option>
+                    </select>
+                  </div>
+                  {['auto', 'time'].includes(localConfig.xAxisType || 'auto') && (
+                    <div className="form-group">
+                      <label className="form-label">Date Grain</label>
+                      <select value={localConfig.xAxisTimeGrain || 'auto'}
+                        onChange={(e) => updateConfig('xAxisTimeGrain', e.target.value)}>
+                        <option value="auto">Auto</option>
+                        <option value="day">Day</option>
+                        <option value="week">Week</option>
+                        <option value="month">Month</option>
+                        <option value="quarter">Quarter</option>
+                        <option value="year">Year</option>
+                      </select>
+                    </div>
+                  )}
+                </div>
+                {localConfig.xAxisType === 'linear' && (
+                  <div className="form-row">
+                    <div className="form-group">
+                      <label className="form-label">Binning</label>
+                      <select value={localConfig.xAxisBinning || 'none'}
+                        onChange={(e) => updateConfig('xAxisBinning', e.target.value)}>
+                        <option value="none">None</option>
+                        <option value="width">Bin Width</option>
+                        <option value="count">Bin Count</option>
+                      </select>
+                    </div>
+                    {localConfig.xAxisBinning === 'width' && (
+                      <div className="form-group">
+                        <label className="form-label">Width</label>
+                        <input type="number" min="0" value={localConfig.xAxisBinWidth}
+                          onChange={(e) => updateConfig('xAxisBinWidth', parseFloat(e.target.value) || 0)} />
+                        {binLayout && binLayout.size !== localConfig.xAxisBinWidth && (
+                          <p className="help-text">
+                            Widened to {binLayout.size.toLocaleString()} to stay within {MAX_BINS} bins
+                          </p>
+                        )}
+                      </div>
+                    )}
+                    {localConfig.xAxisBinning === 'count' && (
+                      <div className="form-group">
+                        <label className="form-label">Bins</label>
+                        <NumberStepper value={localConfig.xAxisBinCount} min={1} max={100}
+                          onChange={(v) => updateConfig('xAxisBinCount', v)} />
+                      </div>
+                    )}
+                  </div>
+                )}
+                <p className="help-text" style={{ marginTop: -4 }}>
+                  Auto uses a continuous time axis for date fields: dates are spaced by real time with
+                  bars sized to the date grain. Numeric fields stay categories unless Numeric is chosen,
+                  which spaces numbers to scale; binning then groups them into ranges and aggregates
+                  each measure per bin.
+                </p>
+                {/* Sorting applies whether or not the axis and its labels are shown */}
+                <div className="form-group">
+                  <label className="form-label">Sort Order</label>
+                  <select value={localConfig.xAxisSort}
+                    onChange={(e) => updateConfig('xAxisSort', e.target.value)}>
+                    <option value="default">Default</option>
+                    <option value="asc">A → Z</option>
+                    <option value="desc">Z → A</option>
+                    <option value="reverse">Reverse</option>
+                    <option value="measure">By Measure</option>
+                    <option value="manual">Manual</option>
+                  </select>
+                </div>
+                {localConfig.xAxisSort === 'measure' && (
+                  <div className="form-row indent">
+                    <div className="form-group">
+                      <label className="form-label">Sort By</label>
+                      <select value={resolveSeriesMeasure(localConfig, localConfig.xAxisSortMeasure)}
+                        onChange={(e) => updateConfig('xAxisSortMeasure', e.target.value)}>
+                        {[...barSlots, ...lineSlots].map(({ key, label }) => (
+                          <option key={key} value={key}>{label}</option>
+                        ))}
+                        <option value="barTotal">Bar Total</option>
+                      </select>
+                    </div>
+                    <div className="form-group">
+                      <label className="form-label">Direction</label>
+                      <select value={localConfig.xAxisSortDirection}
+                        onChange={(e) => updateConfig('xAxisSortDirection', e.target.value)}>
+                        <option value="desc">Descending</option>
+                        <option value="asc">Ascending</option>
+                      </select>
+                    </div>
+                  </div>
+                )}
+                {localConfig.xAxisSort === 'manual' && (
+                  <div className="indent">
+                    <p className="help-text">Drag categories into order. New categories are added at the end.</p>
+                    {manualCategories.length > 0 ? (
+                      <ul className="category-order-list">
+                        {manualCategories.map((category, i) => (
+                          <li key={category} draggable
+                            className={`category-order-item${dragIndex === i ? ' dragging' : ''}`}
+                            onDragStart={(e) => {
+                              e.dataTransfer.effectAllowed = 'move'
+                              e.dataTransfer.setData('text/plain', category)
+                              setDragIndex(i)
+                            }}
+                            onDragOver={(e) => e.preventDefault()}
+                            onDrop={(e) => {
+                              e.preventDefault()
+                              if (dragIndex !== null) moveCategory(dragIndex, i)
+                              setDragIndex(null)
+                            }}
+                            onDragEnd={() => setDragIndex(null)}>
+                            <span className="drag-handle">⋮⋮</span>
+                            <span>{category}</span>
+                          </li>
+                        ))}
+                      </ul>
+                    ) : (
+                      <p className="help-text">No categories loaded yet.</p>
+                    )}
+                    <button type="button" className="btn-secondary btn-sm"
+                      disabled={savedOrder.length === 0}
+                      onClick={() => updateConfig('xAxisManualOrder', [])}>
+                      Reset Order
+                    </button>
+                  </div>
                 )}
-
-                <div className="divider" />
-                <div className="section-label">X Axis</div>
                 <label className="check-row">
                   <input type="checkbox" checked={localConfig.xAxisShow}
                     onChange={(e) => updateConfig('xAxisShow', e.target.checked)} />
@@ -787,42 +1425,30 @@ function SettingsDialog({ config, columns = [], onSave, onApply, onClose, isDial
                         <FontControls fontKey="xAxisLabelFont" label="X Axis Labels" />
                         <div className="form-group indent">
                           <label className="form-label">Label Rotation</label>
-                      <NumberStepper value={localConfig.xAxisRotation} min={-90} max={90} step={5} suffix="°"
-                        onChange={(v) => updateConfig('xAxisRotation', v)} />
-                    </div>
-                    <div className="form-row indent">
-                      <div className="form-group">
-                        <label className="form-label">Sort Order</label>
-                        <select value={localConfig.xAxisSort}
-                          onChange={(e) => updateConfig('xAxisSort', e.target.value)}>
-                          <option value="default">Default</option>
-                          <option value="asc">A → Z</option>
-                          <option value="desc">Z → A</option>
-                          <option value="reverse">Reverse</option>
-                        </select>
-                      </div>
-                      <div className="form-group">
-                        <label className="form-label">Alignment</label>
-                        <select value={localConfig.xAxisAlign}
-                          onChange={(e) => updateConfig('xAxisAlign', e.target.value)}>
-                          <option value="center">Center</option>
-                          <option value="left">Left</option>
-                          <option value="right">Right</option>
-                        </select>
-                      </div>
-                    </div>
-                    <div className="form-row indent">
-                      <div className="form-group">
-                        <label className="form-label">Offset X</label>
-                        <NumberStepper value={localConfig.xAxisLabelOffsetX} min={-20} max={20} suffix="px"
-                          onChange={(v) => updateConfig('xAxisLabelOffsetX', v)} />
-                      </div>
-                      <div className="form-group">
-                        <label className="form-label">Offset Y</label>
-                        <NumberStepper value={localConfig.xAxisLabelOffsetY} min={-20} max={20} suffix="px"
-                          onChange={(v) => updateConfig('xAxisLabelOffsetY', v)} />
-                      </div>
-                    </div>
+                          <NumberStepper value={localConfig.xAxisRotation} min={-90} max={90} step={5} suffix="°"
+                            onChange={(v) => updateConfig('xAxisRotation', v)} />
+                        </div>
+                        <div className="form-group indent">
+                          <label className="form-label">Alignment</label>
+                          <select value={localConfig.xAxisAlign}
+                            onChange={(e) => updateConfig('xAxisAlign', e.target.value)}>
+                            <option value="center">Center</option>
+                            <option value="left">Left</option>
+                            <option value="right">Right</option>
+                          </select>
+                        </div>
+                        <div className="form-row indent">
+                          <div className="form-group">
+                            <label className="form-label">Offset X</label>
+                            <NumberStepper value={localConfig.xAxisLabelOffsetX} min={-20} max={20} suffix="px"
+                              onChange={(v) => updateConfig('xAxisLabelOffsetX', v)} />
+                          </div>
+                          <div className="form-group">
+                            <label className="form-label">Offset Y</label>
+                            <NumberStepper value={localConfig.xAxisLabelOffsetY} min={-20} max={20} suffix="px"
+                              onChange={(v) => updateConfig('xAxisLabelOffsetY', v)} />
+                          </div>
+                        </div>
                       </>
                     )}
                     <label className="check-row indent">
@@ -852,13 +1478,13 @@ function SettingsDialog({ config, columns = [], onSave, onApply, onClose, isDial
 
                 <div className="divider" />
                 <div className="section-label">
-                  Y Axis Left (Bars)
-                  {(localConfig.bar1Measure || localConfig.bar2Measure) && (() => {
+                  Y Axis Left
+                  {(() => {
                     const fieldNames = getFieldNames(localConfig)
-                    const labels = []
-                    if (localConfig.bar1Measure) labels.push(getDisplayName('bar1', fieldNames, localConfig))
-                    if (localConfig.bar2Measure) labels.push(getDisplayName('bar2', fieldNames, localConfig))
-                    return <FieldBadge customLabel={labels.join(' / ')} />
+                    const labels = [...barSlots, ...lineSlots]
+                      .filter(slot => slot.field && getSeriesAxis(slot) === 'left')
+                      .map(({ key }) => getDisplayName(key, fieldNames, localConfig))
+                    return labels.length > 0 && <FieldBadge customLabel={labels.join(' / ')} />
                   })()}
                 </div>
                 <label className="check-row">
@@ -919,6 +1545,16 @@ function SettingsDialog({ config, columns = [], onSave, onApply, onClose, isDial
                         onChange={(e) => updateConfig('yAxisLeftShowAxisLine', e.target.checked)} />
                       <span>Show Axis Line</span>
                     </label>
+                    <div className="form-group indent">
+                      <label className="form-label">Scale</label>
+                      <select value={localConfig.yAxisLeftScale || 'linear'}
+                        onChange={(e) => updateConfig('yAxisLeftScale', e.target.value)}>
+                        <option value="linear">Linear</option>
+                        <option value="log">Logarithmic</option>
+                        <option value="symlog">Symmetric Log</option>
+                        <option value="sqrt">Square Root</option>
+                      </select>
+                    </div>
                     <div className="form-row indent">
                       <div className="form-group">
                         <label className="form-label">Min</label>
@@ -931,11 +1567,51 @@ function SettingsDialog({ config, columns = [], onSave, onApply, onClose, isDial
                           onChange={(e) => updateConfig('yAxisLeftMax', e.target.value ? parseFloat(e.target.value) : null)} />
                       </div>
                     </div>
-                    <label className="check-row indent">
-                      <input type="checkbox" checked={localConfig.yAxisLeftIncludeZero}
-                        onChange={(e) => updateConfig('yAxisLeftIncludeZero', e.target.checked)} />
-                      <span>Include Zero</span>
-                    </label>
+                    <div className="form-row indent">
+                      <div className="form-group">
+                        <label className="form-label">Tick Count</label>
+                        <input type="number" min={2} value={localConfig.yAxisLeftTickCount || ''} placeholder="Auto"
+                          onChange={(e) => updateConfig('yAxisLeftTickCount', e.target.value ? parseInt(e.target.value, 10) : null)} />
+                      </div>
+                      <div className="form-group">
+                        <label className="form-label">Tick Interval</label>
+                        <input type="number" min={0} value={localConfig.yAxisLeftTickInterval || ''} placeholder="Auto"
+                          onChange={(e) => updateConfig('yAxisLeftTickInterval', e.target.value ? parseFloat(e.target.value) : null)} />
+                      </div>
+                    </div>
+                    <div className="form-group indent">
+                      <label className="form-label">Tick Values</label>
+                      <input type="text" value={localConfig.yAxisLeftTickValues || ''} placeholder="Auto, e.g. 0 5000 10000"
+                        onChange={(e) => updateConfig('yAxisLeftTickValues', e.target.value)} />
+                    </div>
+                    <div className="inline-row indent">
+                      <div className="form-group compact">
+                        <label className="form-label">Minor Ticks</label>
+                        <NumberStepper value={localConfig.yAxisLeftMinorTicks || 0} min={0} max={9}
+                          onChange={(v) => updateConfig('yAxisLeftMinorTicks', v)} />
+                      </div>
+                      {localConfig.yAxisLeftMinorTicks > 0 && (
+                        <>
+                          <div className="color-item compact">
+                            <label>Color</label>
+                            <input type="color" value={localConfig.yAxisLeftMinorTickColor || '#cccccc'}
+                              onChange={(e) => updateConfig('yAxisLeftMinorTickColor', e.target.value)} />
+                          </div>
+                          <div className="form-group compact">
+                            <label className="form-label">Length</label>
+                            <NumberStepper value={localConfig.yAxisLeftMinorTickSize ?? 3} min={1} max={10} suffix="px"
+                              onChange={(v) => updateConfig('yAxisLeftMinorTickSize', v)} />
+                          </div>
+                        </>
+                      )}
+                    </div>
+                    {localConfig.yAxisLeftScale !== 'log' && (
+                      <label className="check-row indent">
+                        <input type="checkbox" checked={localConfig.yAxisLeftIncludeZero}
+                          onChange={(e) => updateConfig('yAxisLeftIncludeZero', e.target.checked)} />
+                        <span>Include Zero</span>
+                      </label>
+                    )}
                     <div className="inline-row indent">
                       <div className="color-item compact">
                         <label>Tick Color</label>
@@ -953,8 +1629,14 @@ function SettingsDialog({ config, columns = [], onSave, onApply, onClose, isDial
 
                 <div className="divider" />
                 <div className="section-label">
-                  Y Axis Right (Line)
-                  <FieldBadge type="line" />
+                  Y Axis Right
+                  {(() => {
+                    const fieldNames = getFieldNames(localConfig)
+                    const labels = [...barSlots, ...lineSlots]
+                      .filter(slot => slot.field && getSeriesAxis(slot) === 'right')
+                      .map(({ key }) => getDisplayName(key, fieldNames, localConfig))
+                    return labels.length > 0 && <FieldBadge customLabel={labels.join(' / ')} />
+                  })()}
                 </div>
                 <label className="check-row">
                   <input type="checkbox" checked={localConfig.yAxisRightShow}
@@ -1014,6 +1696,16 @@ function SettingsDialog({ config, columns = [], onSave, onApply, onClose, isDial
                         onChange={(e) => updateConfig('yAxisRightShowAxisLine', e.target.checked)} />
                       <span>Show Axis Line</span>
                     </label>
+                    <div className="form-group indent">
+                      <label className="form-label">Scale</label>
+                      <select value={localConfig.yAxisRightScale || 'linear'}
+                        onChange={(e) => updateConfig('yAxisRightScale', e.target.value)}>
+                        <option value="linear">Linear</option>
+                        <option value="log">Logarithmic</option>
+                        <option value="symlog">Symmetric Log</option>
+                        <option value="sqrt">Square Root</option>
+                      </select>
+                    </div>
                     <div className="form-row indent">
                       <div className="form-group">
                         <label className="form-label">Min</label>
@@ -1026,11 +1718,51 @@ function SettingsDialog({ config, columns = [], onSave, onApply, onClose, isDial
                           onChange={(e) => updateConfig('yAxisRightMax', e.target.value ? parseFloat(e.target.value) : null)} />
                       </div>
                     </div>
-                    <label className="check-row indent">
-                      <input type="checkbox" checked={localConfig.yAxisRightIncludeZero}
-                        onChange={(e) => updateConfig('yAxisRightIncludeZero', e.target.checked)} />
-                      <span>Include Zero</span>
-                    </label>
+                    <div className="form-row indent">
+                      <div className="form-group">
+                        <label className="form-label">Tick Count</label>
+                        <input type="number" min={2} value={localConfig.yAxisRightTickCount || ''} placeholder="Auto"
+                          onChange={(e) => updateConfig('yAxisRightTickCount', e.target.value ? parseInt(e.target.value, 10) : null)} />
+                      </div>
+                      <div className="form-group">
+                        <label className="form-label">Tick Interval</label>
+                        <input type="number" min={0} value={localConfig.yAxisRightTickInterval || ''} placeholder="Auto"
+                          onChange={(e) => updateConfig('yAxisRightTickInterval', e.target.value ? parseFloat(e.target.value) : null)} />
+                      </div>
+                    </div>
+                    <div className="form-group indent">
+                      <label className="form-label">Tick Values</label>
+                      <input type="text" value={localConfig.yAxisRightTickValues || ''} placeholder="Auto, e.g. 0 5000 10000"
+                        onChange={(e) => updateConfig('yAxisRightTickValues', e.target.value)} />
+                    </div>
+                    <div className="inline-row indent">
+                      <div className="form-group compact">
+                        <label className="form-label">Minor Ticks</label>
+                        <NumberStepper value={localConfig.yAxisRightMinorTicks || 0} min={0} max={9}
+                          onChange={(v) => updateConfig('yAxisRightMinorTicks', v)} />
+                      </div>
+                      {localConfig.yAxisRightMinorTicks > 0 && (
+                        <>
+                          <div className="color-item compact">
+                            <label>Color</label>
+                            <input type="color" value={localConfig.yAxisRightMinorTickColor || '#cccccc'}
+                              onChange={(e) => updateConfig('yAxisRightMinorTickColor', e.target.value)} />
+                          </div>
+                          <div className="form-group compact">
+                            <label className="form-label">Length</label>
+                            <NumberStepper value={localConfig.yAxisRightMinorTickSize ?? 3} min={1} max={10} suffix="px"
+                              onChange={(v) => updateConfig('yAxisRightMinorTickSize', v)} />
+                          </div>
+                        </>
+                      )}
+                    </div>
+                    {localConfig.yAxisRightScale !== 'log' && (
+                      <label className="check-row indent">
+                        <input type="checkbox" checked={localConfig.yAxisRightIncludeZero}
+                          onChange={(e) => updateConfig('yAxisRightIncludeZero', e.target.checked)} />
+                        <span>Include Zero</span>
+                      </label>
+                    )}
                     <div className="inline-row indent">
                       <div className="color-item compact">
                         <label>Tick Color</label>
@@ -1121,6 +1853,13 @@ function SettingsDialog({ config, columns = [], onSave, onApply, onClose, isDial
                     </div>
                   </div>
                 )}
+                {(localConfig.gridHorizontal || localConfig.gridVertical) && localConfig.yAxisLeftMinorTicks > 0 && (
+                  <label className="check-row indent">
+                    <input type="checkbox" checked={localConfig.gridMinor !== false}
+                      onChange={(e) => updateConfig('gridMinor', e.target.checked)} />
+                    <span>Minor Lines (Y Axis Left minor ticks)</span>
+                  </label>
+                )}
 
                 <div className="divider" />
                 <div className="section-label">Separators</div>
@@ -1192,138 +1931,103 @@ function SettingsDialog({ config, columns = [], onSave, onApply, onClose, isDial
                   <p>Independent data labels for each series</p>
                 </div>
 
-                <div className="section-label">
-                  Bar 1 Labels
-                  <FieldBadge type="bar1" />
-                </div>
-                <label className="check-row">
-                  <input type="checkbox" checked={localConfig.bar1LabelsShow}
-                    onChange={(e) => updateConfig('bar1LabelsShow', e.target.checked)} />
-                  <span>Show Bar 1 Labels</span>
-                </label>
-                <FormatControls prefix="bar1Labels" localConfig={localConfig}
-                  updateConfig={updateConfig} NumberStepper={NumberStepper} />
-                <p className="help-text indent" style={{ marginTop: -4, marginBottom: 8 }}>
-                  Format applies to Bar 1 labels and tooltips
-                </p>
-                {localConfig.bar1LabelsShow && (
-                  <>
-                    <div className="form-row indent">
-                      <div className="form-group">
-                        <label className="form-label">Position</label>
-                        <select value={localConfig.bar1LabelsPosition}
-                          onChange={(e) => updateConfig('bar1LabelsPosition', e.target.value)}>
-                          <option value="top">Top</option>
-                          <option value="inside">Inside</option>
-                          <option value="center">Center</option>
-                        </select>
-                      </div>
-                    </div>
-                    <FontControls fontKey="bar1LabelFont" label="Bar 1 Label" />
-                    <div className="form-row indent">
-                      <div className="form-group">
-                        <label className="form-label">Offset X</label>
-                        <NumberStepper value={localConfig.bar1LabelsOffsetX} min={-20} max={20} suffix="px"
-                          onChange={(v) => updateConfig('bar1LabelsOffsetX', v)} />
-                      </div>
-                      <div className="form-group">
-                        <label className="form-label">Offset Y</label>
-                        <NumberStepper value={localConfig.bar1LabelsOffsetY} min={-20} max={20} suffix="px"
-                          onChange={(v) => updateConfig('bar1LabelsOffsetY', v)} />
-                      </div>
-                    </div>
-                  </>
-                )}
-
-                <div className="divider" />
-                <div className="section-label">
-                  Bar 2 Labels
-                  <FieldBadge type="bar2" />
-                </div>
-                <label className="check-row">
-                  <input type="checkbox" checked={localConfig.bar2LabelsShow}
-                    onChange={(e) => updateConfig('bar2LabelsShow', e.target.checked)} />
-                  <span>Show Bar 2 Labels</span>
-                </label>
-                <FormatControls prefix="bar2Labels" localConfig={localConfig}
-                  updateConfig={updateConfig} NumberStepper={NumberStepper} />
-                <p className="help-text indent" style={{ marginTop: -4, marginBottom: 8 }}>
-                  Format applies to Bar 2 labels and tooltips
-                </p>
-                {localConfig.bar2LabelsShow && (
-                  <>
-                    <div className="form-row indent">
-                      <div className="form-group">
-                        <label className="form-label">Position</label>
-                        <select value={localConfig.bar2LabelsPosition}
-                          onChange={(e) => updateConfig('bar2LabelsPosition', e.target.value)}>
-                          <option value="top">Top</option>
-                          <option value="inside">Inside</option>
-                          <option value="center">Center</option>
-                        </select>
-                      </div>
-                    </div>
-                    <FontControls fontKey="bar2LabelFont" label="Bar 2 Label" />
-                    <div className="form-row indent">
-                      <div className="form-group">
-                        <label className="form-label">Offset X</label>
-                        <NumberStepper value={localConfig.bar2LabelsOffsetX} min={-20} max={20} suffix="px"
-                          onChange={(v) => updateConfig('bar2LabelsOffsetX', v)} />
-                      </div>
-                      <div className="form-group">
-                        <label className="form-label">Offset Y</label>
-                        <NumberStepper value={localConfig.bar2LabelsOffsetY} min={-20} max={20} suffix="px"
-                          onChange={(v) => updateConfig('bar2LabelsOffsetY', v)} />
-                      </div>
+                {barSlots.map(({ key, label }, i) => (
+                  <Fragment key={key}>
+                    {i > 0 && <div className="divider" />}
+                    <div className="section-label">
+                      {label} Labels
+                      <FieldBadge type={key} />
                     </div>
-                  </>
-                )}
+                    <label className="check-row">
+                      <input type="checkbox" checked={!!localConfig[key + 'LabelsShow']}
+                        onChange={(e) => updateConfig(key + 'LabelsShow', e.target.checked)} />
+                      <span>Show {label} Labels</span>
+                    </label>
+                    <FormatControls prefix={key + 'Labels'} localConfig={localConfig}
+                      updateConfig={updateConfig} NumberStepper={NumberStepper} />
+                    <p className="help-text indent" style={{ marginTop: -4, marginBottom: 8 }}>
+                      Format applies to {label} labels and tooltips
+                    </p>
+                    {localConfig[key + 'LabelsShow'] && (
+                      <>
+                        <div className="form-row indent">
+                          <div className="form-group">
+                            <label className="form-label">Position</label>
+                            <select value={localConfig[key + 'LabelsPosition'] || 'top'}
+                              onChange={(e) => updateConfig(key + 'LabelsPosition', e.target.value)}>
+                              <option value="top">Top</option>
+                              <option value="inside">Inside</option>
+                              <option value="center">Center</option>
+                            </select>
+                          </div>
+                        </div>
+                        <FontControls fontKey={key + 'LabelFont'} label={`${label} Label`} />
+                        <div className="form-row indent">
+                          <div className="form-group">
+                            <label className="form-label">Offset X</label>
+                            <NumberStepper value={localConfig[key + 'LabelsOffsetX'] || 0} min={-20} max={20} suffix="px"
+                              onChange={(v) => updateConfig(key + 'LabelsOffsetX', v)} />
+                          </div>
+                          <div className="form-group">
+                            <label className="form-label">Offset Y</label>
+                            <NumberStepper value={localConfig[key + 'LabelsOffsetY'] || 0} min={-20} max={20} suffix="px"
+                              onChange={(v) => updateConfig(key + 'LabelsOffsetY', v)} />
+                          </div>
+                        </div>
+                      </>
+                    )}
+                  </Fragment>
+                ))}
 
-                <div className="divider" />
-                <div className="section-label">
-                  Line Labels
-                  <FieldBadge type="line" />
-                </div>
-                <label className="check-row">
-                  <input type="checkbox" checked={localConfig.lineLabelsShow}
-                    onChange={(e) => updateConfig('lineLabelsShow', e.target.checked)} />
-                  <span>Show Line Labels</span>
-                </label>
-                <FormatControls prefix="lineLabels" localConfig={localConfig}
-                  updateConfig={updateConfig} NumberStepper={NumberStepper} />
-                <p className="help-text indent" style={{ marginTop: -4, marginBottom: 8 }}>
-                  Format applies to Line labels and tooltips
-                </p>
-                {localConfig.lineLabelsShow && (
-                  <>
-                    <div className="form-row indent">
-                      <div className="form-group">
-                        <label className="form-label">Position</label>
-                        <select value={localConfig.lineLabelsPosition}
-                          onChange={(e) => updateConfig('lineLabelsPosition', e.target.value)}>
-                          <option value="top">Top</option>
-                          <option value="bottom">Bottom</option>
-                          <option value="left">Left</option>
-                          <option value="right">Right</option>
-                          <option value="center">Center</option>
-                        </select>
-                      </div>
-                    </div>
-                    <FontControls fontKey="lineLabelFont" label="Line Label" />
-                    <div className="form-row indent">
-                      <div className="form-group">
-                        <label className="form-label">Offset X</label>
-                        <NumberStepper value={localConfig.lineLabelsOffsetX} min={-20} max={20} suffix="px"
-                          onChange={(v) => updateConfig('lineLabelsOffsetX', v)} />
-                      </div>
-                      <div className="form-group">
-                        <label className="form-label">Offset Y</label>
-                        <NumberStepper value={localConfig.lineLabelsOffsetY} min={-20} max={20} suffix="px"
-                          onChange={(v) => updateConfig('lineLabelsOffsetY', v)} />
-                      </div>
+                {lineSlots.map(({ key, label }) => (
+                  <Fragment key={key}>
+                    <div className="divider" />
+                    <div className="section-label">
+                      {label} Labels
+                      <FieldBadge type={key} />
                     </div>
-                  </>
-                )}
+                    <label className="check-row">
+                      <input type="checkbox" checked={!!localConfig[key + 'LabelsShow']}
+                        onChange={(e) => updateConfig(key + 'LabelsShow', e.target.checked)} />
+                      <span>Show {label} Labels</span>
+                    </label>
+                    <FormatControls prefix={key + 'Labels'} localConfig={localConfig}
+                      updateConfig={updateConfig} NumberStepper={NumberStepper} />
+                    <p className="help-text indent" style={{ marginTop: -4, marginBottom: 8 }}>
+                      Format applies to {label} labels and tooltips
+                    </p>
+                    {localConfig[key + 'LabelsShow'] && (
+                      <>
+                        <div className="form-row indent">
+                          <div className="form-group">
+                            <label className="form-label">Position</label>
+                            <select value={localConfig[key + 'LabelsPosition'] || 'top'}
+                              onChange={(e) => updateConfig(key + 'LabelsPosition', e.target.value)}>
+                              <option value="top">Top</option>
+                              <option value="bottom">Bottom</option>
+                              <option value="left">Left</option>
+                              <option value="right">Right</option>
+                              <option value="center">Center</option>
+                            </select>
+                          </div>
+                        </div>
+                        <FontControls fontKey={key + 'LabelFont'} label={`${label} Label`} />
+                        <div className="form-row indent">
+                          <div className="form-group">
+                            <label className="form-label">Offset X</label>
+                            <NumberStepper value={localConfig[key + 'LabelsOffsetX'] || 0} min={-20} max={20} suffix="px"
+                              onChange={(v) => updateConfig(key + 'LabelsOffsetX', v)} />
+                          </div>
+                          <div className="form-group">
+                            <label className="form-label">Offset Y</label>
+                            <NumberStepper value={localConfig[key + 'LabelsOffsetY'] || 0} min={-20} max={20} suffix="px"
+                              onChange={(v) => updateConfig(key + 'LabelsOffsetY', v)} />
+                          </div>
+                        </div>
+                      </>
+                    )}
+                  </Fragment>
+                ))}
               </div>
             )}
 
@@ -1601,69 +2305,29 @@ function SettingsDialog({ config, columns = [], onSave, onApply, onClose, isDial
                                 return displayName !== 'Category' ? ` (${displayName})` : ''
                               })()}
                             </button>
-                            <button type="button" className="btn-secondary btn-sm"
-                              onClick={() => {
-                                const textarea = document.getElementById('tooltip-template')
-                                const start = textarea.selectionStart
-                                const end = textarea.selectionEnd
-                                const text = textarea.value
-                                const fieldNames = getFieldNames(localConfig)
-                                const displayName = getDisplayName('bar1', fieldNames, localConfig)
-                                const insertion = `${displayName} : {bar1_value}`
-                                textarea.value = text.substring(0, start) + insertion + text.substring(end)
-                                textarea.selectionStart = textarea.selectionEnd = start + insertion.length
-                                textarea.focus()
-                                updateConfig('tooltipTemplate', textarea.value)
-                              }}>
-                              Bar 1
-                              {(() => {
-                                const fieldNames = getFieldNames(localConfig)
-                                const displayName = getDisplayName('bar1', fieldNames, localConfig)
-                                return displayName !== 'Unknown' ? ` (${displayName})` : ''
-                              })()}
-                            </button>
-                            <button type="button" className="btn-secondary btn-sm"
-                              onClick={() => {
-                                const textarea = document.getElementById('tooltip-template')
-                                const start = textarea.selectionStart
-                                const end = textarea.selectionEnd
-                                const text = textarea.value
-                                const fieldNames = getFieldNames(localConfig)
-                                const displayName = getDisplayName('bar2', fieldNames, localConfig)
-                                const insertion = `${displayName} : {bar2_value}`
-                                textarea.value = text.substring(0, start) + insertion + text.substring(end)
-                                textarea.selectionStart = textarea.selectionEnd = start + insertion.length
-                                textarea.focus()
-                                updateConfig('tooltipTemplate', textarea.value)
-                              }}>
-                              Bar 2
-                              {(() => {
-                                const fieldNames = getFieldNames(localConfig)
-                                const displayName = getDisplayName('bar2', fieldNames, localConfig)
-                                return displayName !== 'Unknown' ? ` (${displayName})` : ''
-                              })()}
-                            </button>
-                            <button type="button" className="btn-secondary btn-sm"
-                              onClick={() => {
-                                const textarea = document.getElementById('tooltip-template')
-                                const start = textarea.selectionStart
-                                const end = textarea.selectionEnd
-                                const text = textarea.value
-                                const fieldNames = getFieldNames(localConfig)
-                                const displayName = getDisplayName('line', fieldNames, localConfig)
-                                const insertion = `${displayName} : {line_value}`
-                                textarea.value = text.substring(0, start) + insertion + text.substring(end)
-                                textarea.selectionStart = textarea.selectionEnd = start + insertion.length
-                                textarea.focus()
-                                updateConfig('tooltipTemplate', textarea.value)
-                              }}>
-                              Line
-                              {(() => {
-                                const fieldNames = getFieldNames(localConfig)
-                                const displayName = getDisplayName('line', fieldNames, localConfig)
-                                return displayName !== 'Unknown' ? ` (${displayName})` : ''
-                              })()}
-                            </button>
+                            {[...barSlots, ...lineSlots].map(({ key, label }) => (
+                              <button key={key} type="button" className="btn-secondary btn-sm"
+                                onClick={() => {
+                                  const textarea = document.getElementById('tooltip-template')
+                                  const start = textarea.selectionStart
+                                  const end = textarea.selectionEnd
+                                  const text = textarea.value
+                                  const fieldNames = getFieldNames(localConfig)
+                                  const displayName = getDisplayName(key, fieldNames, localConfig)
+                                  const insertion = `${displayName} : {${key}_value}`
+                                  textarea.value = text.substring(0, start) + insertion + text.substring(end)
+                                  textarea.selectionStart = textarea.selectionEnd = start + insertion.length
+                                  textarea.focus()
+                                  updateConfig('tooltipTemplate', textarea.value)
+                                }}>
+                                {label}
+                                {(() => {
+                                  const fieldNames = getFieldNames(localConfig)
+                                  const displayName = getDisplayName(key, fieldNames, localConfig)
+                                  return displayName !== 'Unknown' ? ` (${displayName})` : ''
+                                })()}
+                              </button>
+                            ))}
                           </div>
                         </div>
                         <div className="form-group">
@@ -1675,7 +2339,7 @@ function SettingsDialog({ config, columns = [], onSave, onApply, onClose, isDial
                             rows={5}
                             style={{ fontFamily: 'var(--font-mono)', fontSize: 12 }} />
                           <p className="help-text" style={{ marginTop: 6 }}>
-                            <strong>Tokens:</strong> <code>{'{dimension}'}</code>, <code>{'{dimension_label}'}</code>, <code>{'{bar1}'}</code>, <code>{'{bar2}'}</code>, <code>{'{line}'}</code>,
+                            <strong>Tokens:</strong> <code>{'{dimension}'}</code>, <code>{'{dimension_label}'}</code>, <code>{'{series}'}</code>, <code>{'{series_label}'}</code>, <code>{'{bar1}'}</code>, <code>{'{bar2}'}</code>, ... <code>{'{barN}'}</code>, <code>{'{line}'}</code>, <code>{'{line2}'}</code>, ... <code>{'{lineN}'}</code>,
                             <code>{'{bar1_label}'}</code>, <code>{'{bar1_value}'}</code>, <code>{'{measure}'}</code>, <code>{'{value}'}</code><br/>
                             <strong>HTML:</strong> Select text and use formatting buttons above, or use tags like <code>&lt;b&gt;</code>, <code>&lt;i&gt;</code>, <code>&lt;u&gt;</code>, <code>&lt;strong&gt;</code>, <code>&lt;em&gt;</code>, <code>&lt;small&gt;</code>, <code>&lt;br/&gt;</code>
                           </p>
@@ -1689,15 +2353,14 @@ function SettingsDialog({ config, columns = [], onSave, onApply, onClose, isDial
                                 const preview = line
                                   .replace(/\{dimension_label\}/g, getDisplayName('dimension', fieldNames, localConfig) || 'Category')
                                   .replace(/\{dimension\}/g, 'Jan\' 25')
-                                  .replace(/\{bar1_label\}/g, getDisplayName('bar1', fieldNames, localConfig) || 'Bar 1')
-                                  .replace(/\{bar1_value\}/g, '1,234')
-                                  .replace(/\{bar1\}/g, `${getDisplayName('bar1', fieldNames, localConfig) || 'Bar 1'}: 1,234`)
-                                  .replace(/\{bar2_label\}/g, getDisplayName('bar2', fieldNames, localConfig) || 'Bar 2')
-                                  .replace(/\{bar2_value\}/g, '5,678')
-                                  .replace(/\{bar2\}/g, `${getDisplayName('bar2', fieldNames, localConfig) || 'Bar 2'}: 5,678`)
-                                  .replace(/\{line_label\}/g, getDisplayName('line', fieldNames, localConfig) || 'Line')
-                                  .replace(/\{line_value\}/g, '42.5%')
-                                  .replace(/\{line\}/g, `${getDisplayName('line', fieldNames, localConfig) || 'Line'}: 42.5%`)
+                                  .replace(/\{series_label\}/g, getDisplayName('series', fieldNames, localConfig))
+                                  .replace(/\{series\}/g, 'East')
+                                  .replace(/\{(bar\d+)_label\}/g, (m, key) => getDisplayName(key, fieldNames, localConfig))
+                                  .replace(/\{(bar\d+)_value\}/g, (m, key) => key === 'bar2' ? '5,678' : '1,234')
+                                  .replace(/\{(bar\d+)\}/g, (m, key) => `${getDisplayName(key, fieldNames, localConfig)}: ${key === 'bar2' ? '5,678' : '1,234'}`)
+                                  .replace(/\{(line\d*)_label\}/g, (m, key) => getDisplayName(key, fieldNames, localConfig))
+                                  .replace(/\{(line\d*)_value\}/g, '42.5%')
+                                  .replace(/\{(line\d*)\}/g, (m, key) => `${getDisplayName(key, fieldNames, localConfig)}: 42.5%`)
                                   .replace(/\{measure\}/g, 'Bar 1')
                                   .replace(/\{value\}/g, '1,234')
                                 return preview.trim() ? (
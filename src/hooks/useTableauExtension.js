@@ -1,6 +1,56 @@
 import { useState, useEffect, useCallback, useRef } from 'react'
 import { Config } from '../utils/config'
 import { getLogs } from '../utils/logger'
+import { MEASURE_NAMES, MEASURE_VALUES, hasMeasureValues, isMeasureColumn, pivotMeasureValues } from '../utils/measureValues'
+import { findDuplicateCategories, getNumericExtent } from '../utils/chartData'
+import { getMappedFields, getSeriesMembers } from '../utils/series'
+
+// Rows per page when streaming summary data
+const PAGE_ROW_COUNT = 10000
+
+/**
+ * Read summary data page by page, materializing only the given columns.
+ * Falls back to a single getSummaryDataAsync call on Tableau versions without the paged reader.
+ * @param {Worksheet} ws - Tableau worksheet
+ * @param {Array} cols - Columns to read ({ fieldName, id })
+ * @param {Function} onProgress - Called with (loadedRows, totalRows) after each page
+ * @param {Function} isStale - Returns true once a newer load started; stops reading further pages
+ * @returns {Promise<Array>} Rows of { fieldName: { value, formattedValue } }
+ */
+async function readSummaryData(ws, cols, onProgress, isStale = () => false) {
+  const rows = []
+  const addPage = (table) => {
+    const pageCols = table.columns.filter(col => cols.some(c => c.fieldName === col.fieldName))
+    for (const row of table.data) {
+      const rowData = {}
+      for (const col of pageCols) {
+        const cell = row[col.index]
+        rowData[col.fieldName] = { value: cell.value, formattedValue: cell.formattedValue }
+      }
+      rows.push(rowData)
+    }
+  }
+
+  const options = { ignoreSelection: true, columnsToIncludeById: cols.map(c => c.id) }
+
+  if (!ws.getSummaryDataReaderAsync) {
+    const table = await ws.getSummaryDataAsync(options)
+    addPage(table)
+    onProgress(rows.length, rows.length)
+    return rows
+  }
+
+  const reader = await ws.getSummaryDataReaderAsync(PAGE_ROW_COUNT, options)
+  try {
+    for (let page = 0; page < reader.pageCount && !isStale(); page++) {
+      addPage(await reader.getPageAsync(page))
+      onProgress(rows.length, reader.totalRowCount)
+    }
+  } finally {
+    await reader.releaseAsync()
+  }
+  return rows
+}
 
 function useTableauExtension() {
   const [initialized, setInitialized] = useState(false)
@@ -9,10 +59,14 @@ function useTableauExtension() {
   const [data, setData] = useState(null)
   const [columns, setColumns] = useState([])
   const [encodingMap, setEncodingMap] = useState({})
+  const [loadedFields, setLoadedFields] = useState([])
+  const [loadProgress, setLoadProgress] = useState(null)
   const [worksheet, setWorksheet] = useState(null)
 
   // Ref to hold the configure callback (set by App via onConfigure)
   const configureCallbackRef = useRef(null)
+  // Sequence number of the latest load; an older load that finishes late is dropped
+  const loadSeqRef = useRef(0)
 
   // Read encoding assignments from the marks card via getVisualSpecificationAsync
   const getEncodingMap = async (ws) => {
@@ -21,10 +75,13 @@ function useTableauExtension() {
       const marksCard =
         visualSpec.marksSpecifications[visualSpec.activeMarksSpecificationIndex]
 
+      // Each encoding maps to an ordered list of fields, since multi-field
+      // encodings (e.g. "bars") appear once per field in the visual spec
       const map = {}
       for (const encoding of marksCard.encodings) {
         if (encoding.field) {
-          map[encoding.id] = encoding.field.name
+          if (!map[encoding.id]) map[encoding.id] = []
+          map[encoding.id].push(encoding.field.name)
           console.log(`[Encoding] ${encoding.id} → ${encoding.field.name}`)
         }
       }
@@ -55,58 +112,92 @@ function useTableauExtension() {
   }
 
   const loadData = async () => {
+    const seq = ++loadSeqRef.current
+    const isStale = () => seq !== loadSeqRef.current
     try {
       setLoading(true)
       const ws = tableau.extensions.worksheetContent.worksheet
       setWorksheet(ws)
 
-      // Fetch encoding map and summary data in parallel
-      const [encMap, dataTable] = await Promise.all([
+      // Fetch encoding map and column info in parallel (no data yet)
+      const [encMap, columnsInfo] = await Promise.all([
         getEncodingMap(ws),
-        ws.getSummaryDataAsync()
+        ws.getSummaryColumnsInfoAsync()
       ])
 
       // Extract columns with field info
-      const cols = dataTable.columns.map(col => ({
+      const cols = columnsInfo.map(col => ({
         fieldName: col.fieldName,
         dataType: col.dataType,
-        index: col.index
+        index: col.index,
+        id: col.id
       }))
 
       // Resolve encoding base field names to actual data column names
       // encoding.field.name returns base name (e.g. "Sales") but data columns
       // include transformations (e.g. "SUM(Sales)", "YEAR(Order Date)")
       const resolvedEncMap = {}
-      for (const [encId, baseFieldName] of Object.entries(encMap)) {
-        const resolved = resolveFieldName(baseFieldName, cols)
-        resolvedEncMap[encId] = resolved
-        if (resolved !== baseFieldName) {
-          console.log(`[Encoding] Resolved ${encId}: "${baseFieldName}" → "${resolved}"`)
-        }
-      }
-
-      // Process data for combo chart
-      const processedData = dataTable.data.map(row => {
-        const rowData = {}
-        row.forEach((cell, index) => {
-          const fieldName = cols[index].fieldName
-          rowData[fieldName] = {
-            value: cell.value,
-            formattedValue: cell.formattedValue
+      for (const [encId, baseFieldNames] of Object.entries(encMap)) {
+        resolvedEncMap[encId] = baseFieldNames.map(baseFieldName => {
+          const resolved = resolveFieldName(baseFieldName, cols)
+          if (resolved !== baseFieldName) {
+            console.log(`[Encoding] Resolved ${encId}: "${baseFieldName}" → "${resolved}"`)
           }
+          return resolved
         })
-        return rowData
-      })
+      }
+
+      // Only materialize columns the chart reads: marks card encodings and the saved
+      // (possibly manual) mapping. Measure Values also needs every dimension, since
+      // the dimensions identify which long-format rows belong to the same mark.
+      const wanted = new Set([
+        ...Object.values(resolvedEncMap).flat(),
+        ...getMappedFields(Config.current)
+      ])
+      const isMeasureValuesData = hasMeasureValues(cols)
+      const mappedCols = cols.filter(c => wanted.has(c.fieldName) ||
+        (isMeasureValuesData && (c.fieldName === MEASURE_VALUES || !isMeasureColumn(c))))
+      console.log(`[Data] Reading ${mappedCols.length} of ${cols.length} columns`)
+
+      // Nothing mapped yet: skip the read rather than request zero columns
+      setLoadProgress({ loaded: 0, total: 0 })
+      const processedData = mappedCols.length === 0 ? [] : await readSummaryData(ws, mappedCols, (loaded, total) => {
+        if (!isStale()) setLoadProgress({ loaded, total })
+      }, isStale)
+      if (isStale()) {
+        console.log('[Data] Dropping results of a superseded load')
+        return
+      }
+
+      // Measure Values arrive long-format: pivot to one virtual column per measure name
+      const pivoted = isMeasureValuesData
+        ? pivotMeasureValues(processedData, mappedCols)
+        : { rows: processedData, columns: mappedCols }
+      const measureNameCols = pivoted.columns.filter(c => c.measureName)
+      if (measureNameCols.length > 0) {
+        console.log('[Data] Pivoted Measure Values:', measureNameCols.map(c => c.fieldName).join(', '))
+      }
+
+      // All worksheet columns stay selectable in the dialog, even those not read
+      const availableCols = measureNameCols.length > 0
+        ? [...cols.filter(c => c.fieldName !== MEASURE_NAMES && c.fieldName !== MEASURE_VALUES), ...measureNameCols]
+        : cols
 
       setEncodingMap(resolvedEncMap)
-      setColumns(cols)
-      setData(processedData)
+      setColumns(availableCols)
+      setLoadedFields(pivoted.columns.map(c => c.fieldName))
+      setData(pivoted.rows)
       setError(null)
     } catch (err) {
+      if (isStale()) return
       console.error('Error loading data:', err)
       setError(err.message || 'Failed to load data')
     } finally {
-      setLoading(false)
+      // Only the latest load owns the loading state and progress
+      if (!isStale()) {
+        setLoading(false)
+        setLoadProgress(null)
+      }
     }
   }
 
@@ -120,11 +211,22 @@ function useTableauExtension() {
     console.log('[Extension] Dialog URL:', dialogUrl)
 
     // Pass live config, columns, encodingMap and main extension logs
-    // so dialog has everything it needs (avoids race condition with debounced settings save)
+    // so dialog has everything it needs (avoids race condition with debounced settings save).
+    // Duplicate categories are summarized for the current mapping so the Data tab can warn about them.
+    const { dimension, seriesDimension = '' } = Config.current
     const payload = JSON.stringify({
       config: Config.current,
       columns: columns,
       encodingMap: encodingMap,
+      duplicateCategories: {
+        dimension,
+        seriesDimension,
+        ...findDuplicateCategories(data, dimension, seriesDimension)
+      },
+      // Current categories for the manual sort order editor, and their numeric range
+      // so the X axis settings can show the bin width actually used
+      categories: getSeriesMembers(data, dimension).map(String),
+      categoryRange: { dimension, extent: getNumericExtent(data, dimension) },
       extensionLogs: getLogs(),
       workbookFont: Config.workbookFont
     })
@@ -145,7 +247,7 @@ function useTableauExtension() {
         console.error('[Extension] Dialog error:', dialogError.message || dialogError)
       }
     })
-  }, [columns, encodingMap])
+  }, [columns, encodingMap, data])
 
   // Allow App to set the configure callback
   const setConfigureCallback = useCallback((callback) => {
@@ -198,6 +300,8 @@ function useTableauExtension() {
     data,
     columns,
     encodingMap,
+    loadedFields,
+    loadProgress,
     worksheet,
     refreshData: loadData,
     openConfigDialog,
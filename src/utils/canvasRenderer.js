@@ -0,0 +1,121 @@
+/**
+ * Canvas Renderer Utilities
+ * Helpers for drawing the chart marks onto a <canvas> instead of SVG when
+ * there are too many marks for the DOM, and for hit-testing the pointer
+ * against them so tooltips keep working.
+ */
+
+/**
+ * Size a canvas to the chart and return a 2D context in CSS pixels
+ * (device pixel ratio already applied, previous frame cleared)
+ * @param {HTMLCanvasElement} canvas
+ * @param {number} width
+ * @param {number} height
+ */
+export const setupCanvas = (canvas, width, height) => {
+  const ratio = window.devicePixelRatio || 1
+  canvas.width = Math.max(1, Math.round(width * ratio))
+  canvas.height = Math.max(1, Math.round(height * ratio))
+  canvas.style.width = width + 'px'
+  canvas.style.height = height + 'px'
+  canvas.style.display = 'block'
+
+  const ctx = canvas.getContext('2d')
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0)
+  ctx.clearRect(0, 0, width, height)
+  return ctx
+}
+
+/**
+ * Hide the canvas and release its backing store (SVG rendering)
+ */
+export const hideCanvas = (canvas) => {
+  if (!canvas) return
+  canvas.width = 0
+  canvas.height = 0
+  canvas.style.display = 'none'
+}
+
+/**
+ * CSS font shorthand for a resolved font ({ family, size, weight, italic })
+ */
+export const canvasFont = (font) =>
+  `${font.italic ? 'italic ' : ''}${font.weight} ${font.size}px ${font.family}`
+
+// Offscreen context for measuring text, created on first use
+let measureContext = null
+
+// Texts measured per call: the longest by character count stand in for the rest
+const MEASURED_TEXTS = 50
+
+/**
+ * Width in pixels of the widest of the given texts in a font (for sizing axis margins)
+ * @param {Array<string>} texts
+ * @param {{ family: string, size: number, weight: number|string, italic: boolean }} font
+ * @returns {number}
+ */
+export const measureTextWidth = (texts, font) => {
+  measureContext = measureContext || document.createElement('canvas').getContext('2d')
+  measureContext.font = canvasFont(font)
+  return texts
+    .map(String)
+    .sort((a, b) => b.length - a.length)
+    .slice(0, MEASURED_TEXTS)
+    .reduce((widest, text) => Math.max(widest, measureContext.measureText(text).width), 0)
+}
+
+/**
+ * SVG stroke-dasharray ('8,4') to a canvas line dash ([8, 4])
+ */
+export const toLineDash = (dashArray) => dashArray ? dashArray.split(',').map(Number) : []
+
+/**
+ * Draw a bar rectangle, matching the SVG bar (fill, opacity, rounded corners, border)
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {{ x: number, y: number, width: number, height: number }} rect
+ * @param {{ color: string, opacity: number, showBorder: boolean, borderColor: string, borderWidth: number }} style
+ * @param {number} radius
+ */
+export const drawBarRect = (ctx, rect, style, radius = 0) => {
+  if (rect.height <= 0 || rect.width <= 0) return
+  const r = Math.min(radius, rect.width / 2, rect.height / 2)
+
+  ctx.beginPath()
+  if (r > 0 && ctx.roundRect) ctx.roundRect(rect.x, rect.y, rect.width, rect.height, r)
+  else ctx.rect(rect.x, rect.y, rect.width, rect.height)
+
+  ctx.globalAlpha = style.opacity
+  ctx.fillStyle = style.color
+  ctx.fill()
+  if (style.showBorder && style.borderWidth > 0) {
+    ctx.strokeStyle = style.borderColor
+    ctx.lineWidth = style.borderWidth
+    ctx.stroke()
+  }
+  ctx.globalAlpha = 1
+}
+
+/**
+ * Index of the position closest to px (positions sorted ascending)
+ * @param {Array<number>} positions
+ * @param {number} px
+ * @returns {number} -1 when positions is empty
+ */
+export const findNearestIndex = (positions, px) => {
+  if (positions.length === 0) return -1
+  let lo = 0
+  let hi = positions.length - 1
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1
+    if (positions[mid] < px) lo = mid + 1
+    else hi = mid
+  }
+  if (lo > 0 && Math.abs(positions[lo - 1] - px) <= Math.abs(positions[lo] - px)) return lo - 1
+  return lo
+}
+
+/**
+ * Check whether a point lies inside a bar rectangle
+ */
+export const rectContains = (rect, x, y) =>
+  x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height
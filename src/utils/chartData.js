@@ -0,0 +1,422 @@
+/**
+ * Chart Data Utilities
+ * Turns summary data rows into chart rows: one row per category with the
+ * category label, its raw value, and one aggregated value per drawn series key
+ */
+
+const memberOf = (cell) => cell?.formattedValue || cell?.value
+
+// Numeric cell value, or null when missing (Tableau nulls, empty or non-numeric values)
+const numberOf = (cell) => {
+  const value = parseFloat(cell?.value)
+  return isFinite(value) ? value : null
+}
+
+/**
+ * Aggregations available for combining several values of one series
+ * (duplicate categories, Series/Color totals, histogram bins)
+ */
+export const aggregators = {
+  sum: values => values.reduce((total, v) => total + v, 0),
+  avg: values => values.reduce((total, v) => total + v, 0) / values.length,
+  min: values => values.reduce((m, v) => Math.min(m, v)),
+  max: values => values.reduce((m, v) => Math.max(m, v)),
+  count: values => values.length,
+  first: values => values[0]
+}
+
+// Aggregate collected values; no values means the series is missing for that row
+const aggregate = (values, mode) =>
+  values.length === 0 ? null : (aggregators[mode] || aggregators.sum)(values)
+
+/**
+ * Build chart rows from summary data
+ *
+ * Summary rows are grouped by category, so several rows for the same category
+ * (an extra dimension on Detail, or long-format data) become one chart row.
+ * Each series combines its values with its own aggregation (default sum).
+ * With a Series/Color field, each member's bar values land in their own
+ * sub-series key and the parent bar key aggregates all members.
+ * Missing values stay null; see applyNullHandling.
+ *
+ * @param {Array} data - Summary data rows
+ * @param {string} dimensionField - Category field name
+ * @param {Array} barSeries - Drawn bar series (see getDrawnBarSeries)
+ * @param {Array} lineSeries - Line series
+ * @param {string} [seriesField] - Series/Color field name
+ * @param {Object} [aggregations] - { barOrLineKey: aggregator name }
+ * @returns {Array<Object>}
+ */
+export const buildChartData = (data, dimensionField, barSeries, lineSeries, seriesField, aggregations = {}) => {
+  const groups = new Map()
+  const push = (group, key, value) => {
+    if (value != null) group.values[key].push(value)
+  }
+
+  data.forEach(d => {
+    const category = memberOf(d[dimensionField])
+    if (!groups.has(category)) {
+      const values = {}
+      barSeries.forEach(s => {
+        values[s.key] = []
+        values[s.parent] = []
+      })
+      lineSeries.forEach(s => {
+        values[s.key] = []
+      })
+      groups.set(category, { category, categoryValue: d[dimensionField]?.value, values })
+    }
+
+    const group = groups.get(category)
+    const member = seriesField ? memberOf(d[seriesField]) : undefined
+    barSeries.forEach(s => {
+      // Unsplit series (no member) take every row
+      if (s.key !== s.parent && s.member !== member) return
+      const value = numberOf(d[s.field])
+      push(group, s.key, value)
+      if (s.parent !== s.key) push(group, s.parent, value)
+    })
+    lineSeries.forEach(s => {
+      push(group, s.key, numberOf(d[s.field]))
+    })
+  })
+
+  return [...groups.values()].map(({ category, categoryValue, values }) => {
+    const row = { category, categoryValue }
+    barSeries.forEach(s => {
+      row[s.key] = aggregate(values[s.key], aggregations[s.parent])
+      row[s.parent] = aggregate(values[s.parent], aggregations[s.parent])
+    })
+    lineSeries.forEach(s => {
+      row[s.key] = aggregate(values[s.key], aggregations[s.key])
+    })
+    return row
+  })
+}
+
+/**
+ * Find categories that occur in more than one summary row (per Series/Color
+ * member when one is mapped), i.e. rows that will be aggregated
+ * @returns {{ count: number, examples: Array<string> }}
+ */
+export const findDuplicateCategories = (data, dimensionField, seriesField) => {
+  if (!data || !dimensionField) return { count: 0, examples: [] }
+  const seen = new Set()
+  const duplicates = new Set()
+  data.forEach(d => {
+    const category = memberOf(d[dimensionField])
+    const key = seriesField ? JSON.stringify([category, memberOf(d[seriesField])]) : category
+    if (seen.has(key)) duplicates.add(category)
+    else seen.add(key)
+  })
+  return { count: duplicates.size, examples: [...duplicates].slice(0, 3).map(String) }
+}
+
+// Most bins drawn; a bin width that would need more is widened to fit
+export const MAX_BINS = 500
+
+/**
+ * Bins covering a value range: the first bin's lower edge, the bin width and the count.
+ * Width mode aligns bins to multiples of the width (0–10, 10–20, ...) and widens them by
+ * whole multiples when the range would need more than MAX_BINS. Count mode splits the
+ * range evenly, and a range of a single value is one bin.
+ * @param {number} min - Lowest value
+ * @param {number} max - Highest value
+ * @param {Object} opts - { mode: 'width' | 'count', width, count }
+ * @returns {{ start: number, size: number, binCount: number }}
+ */
+export const getBinLayout = (min, max, { mode, width, count }) => {
+  if (mode === 'count') {
+    if (max === min) return { start: min, size: 1, binCount: 1 }
+    const binCount = Math.min(MAX_BINS, Math.max(1, Math.round(count) || 1))
+    return { start: min, size: (max - min) / binCount, binCount }
+  }
+  const base = width > 0 ? width : 1
+  const layout = (size) => {
+    const start = Math.floor(min / size) * size
+    return { start, size, binCount: Math.floor((max - start) / size) + 1 }
+  }
+  let factor = Math.max(1, Math.ceil(layout(base).binCount / MAX_BINS))
+  // Realigning to the wider bins can add one more at the top
+  while (layout(base * factor).binCount > MAX_BINS) factor++
+  return layout(base * factor)
+}
+
+/**
+ * Lowest and highest numeric value of a field in summary data
+ * @returns {[number, number]|null} null when the field has no numeric values
+ */
+export const getNumericExtent = (data, field) => {
+  let min = Infinity
+  let max = -Infinity
+  for (const row of data || []) {
+    const value = numberOf(row[field])
+    if (value == null) continue
+    min = Math.min(min, value)
+    max = Math.max(max, value)
+  }
+  return min <= max ? [min, max] : null
+}
+
+/**
+ * Group numeric-category rows into histogram bins
+ * Bins are contiguous from the lowest to the highest value (empty bins included,
+ * with null values; see getBinLayout) and each series is aggregated per bin with its
+ * own aggregation (default sum).
+ * @param {Array} rows - Chart rows with a numeric `x`
+ * @param {Array<string>} keys - Series keys to aggregate
+ * @param {Object} opts - { mode: 'width' | 'count', width, count, format, aggregations: { key: name } }
+ * @returns {Array<Object>} One row per bin: { category, x, x0, x1, ...values }
+ */
+export const binChartData = (rows, keys, { mode, width, count, format = String, aggregations = {} }) => {
+  const min = rows.reduce((m, r) => Math.min(m, r.x), Infinity)
+  const max = rows.reduce((m, r) => Math.max(m, r.x), -Infinity)
+
+  const { start, size, binCount } = getBinLayout(min, max, { mode, width, count })
+
+  const binValues = Array.from({ length: binCount }, () =>
+    Object.fromEntries(keys.map(key => [key, []])))
+
+  rows.forEach(row => {
+    // The maximum falls on the last bin's upper edge in count mode
+    const i = Math.min(binCount - 1, Math.floor((row.x - start) / size))
+    keys.forEach(key => {
+      if (row[key] != null) binValues[i][key].push(row[key])
+    })
+  })
+
+  // Empty bins stay null, so each series' missing value mode applies to them
+  return binValues.map((values, i) => {
+    const x0 = start + i * size
+    const x1 = x0 + size
+    const bin = { category: `${format(x0)} – ${format(x1)}`, x: x0 + size / 2, x0, x1 }
+    keys.forEach(key => { bin[key] = aggregate(values[key], aggregations[key]) })
+    return bin
+  })
+}
+
+/**
+ * Resolve missing (null) series values per series mode:
+ * - 'zero': show as zero
+ * - 'gap': leave null so nothing is drawn
+ * - 'interpolate': linear between the nearest values on either side (by date,
+ *   number or row position); values at the edges stay null
+ * - 'carry': repeat the last value before it
+ * - 'hide': drop the category from the chart. Series of one group (the members of
+ *   a Series/Color split) drop it only when every one of them is missing.
+ * Filled values are flagged in row.imputed[key] so tooltips can mark them.
+ * @param {Array} rows - Chart rows in axis order
+ * @param {Object} modes - { seriesKey: mode }
+ * @param {Object} [groups] - { seriesKey: group } (series without a group stand alone)
+ * @returns {Array} Rows with nulls resolved ('hide' categories removed)
+ */
+export const applyNullHandling = (rows, modes, groups = {}) => {
+  const entries = Object.entries(modes)
+  const hidden = new Map()
+  entries.filter(([, mode]) => mode === 'hide').forEach(([key]) => {
+    const group = groups[key] ?? key
+    hidden.set(group, [...(hidden.get(group) || []), key])
+  })
+  const kept = hidden.size > 0
+    ? rows.filter(row => [...hidden.values()].every(keys => keys.some(key => row[key] != null)))
+    : rows
+
+  const position = (row, i) => row.date != null ? +row.date : row.x != null ? row.x : i
+  const impute = (row, key, value) => {
+    row[key] = value
+    row.imputed = { ...row.imputed, [key]: true }
+  }
+
+  entries.forEach(([key, mode]) => {
+    if (mode === 'zero') {
+      kept.forEach(row => { if (row[key] == null) impute(row, key, 0) })
+    } else if (mode === 'carry') {
+      let last = null
+      kept.forEach(row => {
+        if (row[key] != null) last = row[key]
+        else if (last != null) impute(row, key, last)
+      })
+    } else if (mode === 'interpolate') {
+      let prev = -1
+      kept.forEach((row, i) => {
+        if (row[key] == null) return
+        // Fill the run of nulls between the previous known value and this one
+        if (prev >= 0 && i - prev > 1) {
+          const x0 = position(kept[prev], prev)
+          const x1 = position(row, i)
+          const y0 = kept[prev][key]
+          const y1 = row[key]
+          for (let j = prev + 1; j < i; j++) {
+            const t = x1 === x0 ? 0 : (position(kept[j], j) - x0) / (x1 - x0)
+            impute(kept[j], key, y0 + (y1 - y0) * t)
+          }
+        }
+        prev = i
+      })
+    }
+  })
+  return kept
+}
+
+/**
+ * Value of a chart row used for ranking and sorting: one series key, or
+ * 'barTotal' (sum of barKeys, null when every bar is missing)
+ */
+const rowValue = (row, measure, barKeys = []) => {
+  if (measure !== 'barTotal') return row[measure]
+  return barKeys.some(key => row[key] != null) ? barKeys.reduce((total, key) => total + (row[key] ?? 0), 0) : null
+}
+
+// Category key of the Top N Others row, extended until no data category uses it.
+// The row's `label` holds the text shown for it, so a real "Others" category stays distinct.
+const othersCategory = (rows) => {
+  let key = '__topNOthers__'
+  while (rows.some(row => row.category === key)) key += '_'
+  return key
+}
+
+/**
+ * Keep the top N categories by a measure and fold the rest into one "Others" row.
+ * Kept rows stay in data order. Bars are summed into Others; each line uses
+ * lineAggregation: 'sum', 'avg' or 'weighted' (average weighted by weightMeasure).
+ * The Others row has an internal category key, othersLabel as its display `label`,
+ * and lists its categories in `others` for the tooltip.
+ * @param {Array} rows - Chart rows
+ * @param {Object} opts - { count, measure, barKeys, lineKeys, lineAggregation, weightMeasure,
+ *   totalKeys (bar keys summed for 'barTotal'), othersLabel, showOthers }
+ * @returns {Array} Top rows, plus the Others row when shown
+ */
+export const applyTopN = (rows, { count, measure, barKeys = [], lineKeys = [], lineAggregation = 'sum',
+  weightMeasure = 'barTotal', totalKeys = barKeys, othersLabel = 'Others', showOthers = true }) => {
+  if (!count || rows.length <= count) return rows
+
+  // Rank by measure, largest first; missing values rank last, ties keep data order
+  const ranked = rows
+    .map((row, i) => ({ row, i, value: rowValue(row, measure, totalKeys) }))
+    .sort((a, b) => (a.value == null) - (b.value == null) || (b.value ?? 0) - (a.value ?? 0) || a.i - b.i)
+  const kept = new Set(ranked.slice(0, count).map(r => r.row))
+  const top = rows.filter(row => kept.has(row))
+  const rest = rows.filter(row => !kept.has(row))
+  if (!showOthers) return top
+
+  const others = {
+    category: othersCategory(rows),
+    categoryValue: null,
+    label: othersLabel,
+    others: rest.map(row => String(row.category))
+  }
+  const defined = (key) => rest.filter(row => row[key] != null)
+
+  barKeys.forEach(key => {
+    const values = defined(key).map(row => row[key])
+    others[key] = values.length > 0 ? aggregators.sum(values) : null
+  })
+  lineKeys.forEach(key => {
+    const withValue = defined(key)
+    if (withValue.length === 0) {
+      others[key] = null
+    } else if (lineAggregation === 'weighted') {
+      const weighted = withValue.filter(row => rowValue(row, weightMeasure, totalKeys) != null)
+      const totalWeight = weighted.reduce((total, row) => total + rowValue(row, weightMeasure, totalKeys), 0)
+      others[key] = totalWeight !== 0
+        ? weighted.reduce((total, row) => total + row[key] * rowValue(row, weightMeasure, totalKeys), 0) / totalWeight
+        : null
+    } else {
+      others[key] = aggregate(withValue.map(row => row[key]), lineAggregation === 'avg' ? 'avg' : 'sum')
+    }
+  })
+
+  return [...top, others]
+}
+
+/**
+ * Pareto: running share of the total in axis order, in percent (0-100).
+ * Missing values count as zero.
+ * @param {Array} rows - Chart rows, sorted descending for a Pareto chart
+ * @param {string} key - Row key the cumulative percent is written to
+ * @param {string} measure - Series key, or 'barTotal'
+ * @param {Array<string>} barKeys - Keys summed for 'barTotal'
+ * @returns {Array} Copies of the rows with the percent added
+ */
+export const addCumulativePercent = (rows, key, measure, barKeys = []) => {
+  const values = rows.map(row => Math.max(0, rowValue(row, measure, barKeys) ?? 0))
+  const total = values.reduce((sum, v) => sum + v, 0)
+  let running = 0
+  return rows.map((row, i) => {
+    running += values[i]
+    return { ...row, [key]: total > 0 ? (running / total) * 100 : null }
+  })
+}
+
+/**
+ * Waterfall layout for one bar series: each value is a change floating on the
+ * running total. Subtotal categories (and the optional closing total row) show
+ * the running total itself; their own values are ignored.
+ * Adds row.waterfall = { start, end, kind: 'increase' | 'decrease' | 'total' }.
+ * @param {Array} rows - Chart rows in axis order
+ * @param {string} key - Bar series key
+ * @param {Object} opts - { subtotals: category labels, firstIsTotal: the first value is the
+ *   opening level, totalLabel: adds a closing total row with this label when set }
+ * @returns {Array} Copies of the rows, plus the total row
+ */
+export const buildWaterfall = (rows, key, { subtotals = [], firstIsTotal = false, totalLabel = '' } = {}) => {
+  const totals = new Set(subtotals.map(String))
+  let running = 0
+
+  const result = rows.map((row, i) => {
+    if (totals.has(String(row.category))) {
+      return { ...row, [key]: running, waterfall: { start: 0, end: running, kind: 'total' } }
+    }
+    const start = running
+    running += row[key] ?? 0
+    const kind = firstIsTotal && i === 0 ? 'total' : (row[key] ?? 0) < 0 ? 'decrease' : 'increase'
+    return { ...row, waterfall: { start, end: running, kind } }
+  })
+
+  if (totalLabel) {
+    result.push({ category: totalLabel, categoryValue: null, [key]: running, waterfall: { start: 0, end: running, kind: 'total' } })
+  }
+  return result
+}
+
+/**
+ * Order chart rows on a category axis
+ * - 'asc' / 'desc': category text, numeric-aware so "2" sorts before "10"
+ * - 'reverse': data source order reversed
+ * - 'measure': by one series value, or 'barTotal' (sum of barKeys); nulls last
+ * - 'manual': saved category order; categories missing from it (e.g. new ones)
+ *   follow in data source order
+ * @param {Array} rows - Chart rows in data source order
+ * @param {string} mode
+ * @param {Object} opts - { measure, direction: 'asc' | 'desc', barKeys, manualOrder }
+ * @returns {Array} Sorted copy of rows
+ */
+export const sortCategories = (rows, mode, { measure, direction = 'desc', barKeys = [], manualOrder = [] } = {}) => {
+  // The Top N "Others" row stays last whatever the order
+  const sorted = rows.filter(row => !row.others)
+  const othersRows = rows.filter(row => row.others)
+  const compareText = (a, b) => String(a).localeCompare(String(b), undefined, { numeric: true })
+
+  if (mode === 'asc') {
+    sorted.sort((a, b) => compareText(a.category, b.category))
+  } else if (mode === 'desc') {
+    sorted.sort((a, b) => compareText(b.category, a.category))
+  } else if (mode === 'reverse') {
+    sorted.reverse()
+  } else if (mode === 'measure' && measure) {
+    const sign = direction === 'asc' ? 1 : -1
+    // Array.sort is stable, so ties keep data source order
+    sorted.sort((a, b) => {
+      const va = rowValue(a, measure, barKeys)
+      const vb = rowValue(b, measure, barKeys)
+      if (va == null || vb == null) return (va == null) - (vb == null)
+      return (va - vb) * sign
+    })
+  } else if (mode === 'manual' && manualOrder.length > 0) {
+    const rank = new Map(manualOrder.map((category, i) => [String(category), i]))
+    sorted.sort((a, b) =>
+      (rank.get(String(a.category)) ?? Infinity) - (rank.get(String(b.category)) ?? Infinity) || 0)
+  }
+
+  return [...sorted, ...othersRows]
+}
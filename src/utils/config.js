@@ -2,6 +2,10 @@
  * Configuration Management for Combo Chart Extension (React)
  */
 
+// Saved settings format. 1: one field each in bar1Measure, bar2Measure and lineMeasure;
+// 2: ordered barMeasures / lineMeasures with series keys per field
+const SETTINGS_VERSION = 2
+
 // Cache for system fonts (populated once)
 let systemFontsCache = null
 
@@ -98,10 +102,14 @@ export const Config = {
   current: {
     // Data mapping
     dimension: '',
-    bar1Measure: '',
-    bar2Measure: '',
-    lineMeasure: '',
+    seriesDimension: '', // Optional Series/Color dimension: splits bars into one sub-bar per member
+    barMeasures: [], // Ordered bar series fields; series keys are bar1, bar2, ... barN
+    lineMeasures: [], // Ordered line series fields; series keys are line, line2, ... lineN
+    barSeriesKeys: {}, // Series key per bar field (e.g. { 'SUM(Sales)': 'bar2' }), kept when bars are reordered
+    lineSeriesKeys: {}, // Series key per line field
+    measureNameRoles: {}, // Measure Values: role per measure name ('bar' | 'line' | 'hidden')
     useManualMapping: false, // If true, use saved field names; if false, always use position-based mapping
+    settingsVersion: SETTINGS_VERSION, // Format of the saved settings (see migrateSettings)
 
     // Chart dimensions
     width: 'auto',
@@ -112,10 +120,31 @@ export const Config = {
     colorPalette: 'tableau10',
 
     // Bar settings
-    barStyle: 'grouped', // 'grouped' or 'stacked'
+    barStyle: 'grouped', // 'grouped', 'stacked', 'stacked100' (percent of total), 'waterfall', 'overlap' or 'target'
     barPadding: 0.2,
-    barGap: 4,       // px gap between bar 1 and bar 2 in grouped mode
+    barGap: 4,       // px gap between bar series in grouped mode
     barWidth: 100,   // Percentage of available space (0-100%)
+    barOverlapRatio: 0.5, // Overlap style: Bar 1 width relative to the Bar 2 bar behind it
+    barTargetRatio: 0.6, // Target style: Bar 1 width relative to the Bar 2 target marker
+    barTargetThickness: 3, // px
+    barCompareTooltip: true, // Overlap/target tooltips show the other bar and % of target achieved
+
+    // Waterfall mode (barStyle 'waterfall'): first bar measure floats on its running total
+    waterfallIncreaseColor: '#59a14f',
+    waterfallDecreaseColor: '#e15759',
+    waterfallTotalColor: '#4e79a7',
+    waterfallConnectors: true, // Dashed line from each bar's end to the next bar
+    waterfallConnectorColor: '#999999',
+    waterfallSubtotals: [], // Categories drawn as a subtotal (running total so far)
+    waterfallFirstIsTotal: false, // First category is a starting balance
+    waterfallShowTotal: true, // Append a total bar (category axis only)
+    waterfallTotalLabel: 'Total',
+
+    // Any bar or line measure can set {key}MarkType: 'bar', 'line', 'area', 'step' or 'dots'
+    // (default 'bar' for bar measures, 'line' for line measures). Non-bar marks use the line
+    // keys of their series ({key}Width, {key}AreaOpacity, ...).
+    // In dual axis mode any measure can set {key}Axis: 'left' or 'right' (default left for
+    // bars, right for other marks); bars follow it in the grouped bar style only.
 
     bar1Color: '#4e79a7',
     bar1Opacity: 1,
@@ -131,13 +160,16 @@ export const Config = {
     bar2BorderWidth: 1,
     bar2CornerRadius: 2,
 
-    // Line settings
+    // Line settings (line 2+ use the same keys with a series prefix: line2Color, line2Width, ...)
     lineColor: '#e15759',
     lineOpacity: 1,
     lineWidth: 2,
     lineStyle: 'solid', // 'solid', 'dashed', 'dotted'
     lineCurve: 'linear', // 'linear', 'monotone', 'cardinal', 'step'
+    lineAxis: 'right', // 'right' or 'left' (dual axis mode); line 2+ use line2Axis, ...
+    lineAreaOpacity: 0.3, // Fill under the line when its mark type is 'area'
     lineVerticalPosition: 'auto', // 'auto', 'top', 'middle', 'bottom'
+    lineDownsample: 'none', // 'none', 'lttb', 'minmax' (dense lines thinned to about one point per pixel)
 
     // Point settings
     showPoints: true,
@@ -152,9 +184,22 @@ export const Config = {
     animationDuration: 500, // milliseconds
     animationEasing: 'easeCubicOut', // easeLinear, easeCubicOut, easeElastic, easeBounce
 
+    // Rendering
+    renderer: 'auto', // 'auto', 'svg', 'canvas' (auto switches to canvas above canvasThreshold marks)
+    canvasThreshold: 3000,
+
+    // Responsive breakpoints (px, compared against the chart container size)
+    responsiveEnabled: true,
+    breakpointTitles: 300, // Axis titles dropped when width or height is below
+    breakpointTicks: 450, // Ticks thinned out when width (x) or height (y) is below
+    breakpointLabels: 180, // Axis and data labels hidden when width or height is below
+
     // Axis settings
+    orientation: 'vertical', // 'vertical' or 'horizontal' (categories down the left, values along the bottom/top)
     axisMode: 'dual', // 'dual' or 'shared'
     syncDualAxis: false, // When true, both Y-axes share the same scale
+    yAxisAlign: 'none', // 'none', 'zero' or 'value': widen both Y-axes so that value sits on the same row
+    yAxisAlignValue: 0, // Reference value of yAxisAlign 'value'
 
     // X Axis
     xAxisShow: true,
@@ -166,7 +211,33 @@ export const Config = {
     xAxisFontSize: 12,
     xAxisRotation: 0,
     xAxisAlign: 'center',
-    xAxisSort: 'default',
+    xAxisSort: 'default', // 'default', 'asc', 'desc', 'reverse', 'measure', 'manual'
+    xAxisSortMeasure: 'bar1', // Series key to sort by ('bar1', 'line', ...) or 'barTotal'
+    xAxisSortDirection: 'desc', // 'asc' or 'desc'
+    xAxisManualOrder: [], // Saved category order; new categories follow in data order
+
+    // Top N categories (category axis): the rest fold into one Others category
+    topNEnabled: false,
+    topN: 10,
+    topNMeasure: 'bar1', // Series key to rank by, or 'barTotal'
+    topNShowOthers: true,
+    topNOthersLabel: 'Others',
+    topNLineAggregation: 'sum', // 'sum', 'avg' or 'weighted' (line value of Others)
+    topNWeightMeasure: 'barTotal', // Weight for 'weighted': a bar key or 'barTotal'
+
+    // Pareto mode (category axis): bars sorted descending, cumulative % line on the right axis
+    paretoEnabled: false,
+    paretoMeasure: 'barTotal', // Bar key to rank and accumulate, or 'barTotal'
+    paretoColor: '#333333', // Cumulative % line (styled like a line series: paretoWidth, paretoStyle, ...)
+    paretoShowReference: true,
+    paretoReferenceValue: 80, // Percent
+    paretoReferenceColor: '#888888',
+    paretoShowCutoff: true,
+    xAxisType: 'auto', // 'auto' (time for dates, category otherwise), 'category', 'time' or 'linear'
+    xAxisTimeGrain: 'auto', // Time axis grain: 'auto', 'day', 'week', 'month', 'quarter' or 'year'
+    xAxisBinning: 'none', // Linear axis histogram binning: 'none', 'width' or 'count'
+    xAxisBinWidth: 10,
+    xAxisBinCount: 10,
     xAxisMaxWidth: 'none',
     xAxisFormat: 'auto',
     xAxisDecimals: 0,
@@ -194,6 +265,13 @@ export const Config = {
     yAxisLeftShowAxisLine: true,
     yAxisLeftMin: null,
     yAxisLeftMax: null,
+    yAxisLeftScale: 'linear', // 'linear', 'log' (positive values), 'symlog' (log-like through zero) or 'sqrt'
+    yAxisLeftTickCount: null, // Approximate number of ticks (null: automatic)
+    yAxisLeftTickInterval: null, // Fixed step between ticks, e.g. 10000 (not on log axes)
+    yAxisLeftTickValues: '', // Explicit ticks separated by commas or spaces; overrides count and interval
+    yAxisLeftMinorTicks: 0, // Minor ticks between two major ticks (0: none)
+    yAxisLeftMinorTickColor: '#cccccc',
+    yAxisLeftMinorTickSize: 3, // px
     yAxisLeftFormat: 'auto',
     yAxisLeftDecimals: 0,
     yAxisLeftCurrencySymbol: '$',
@@ -221,6 +299,13 @@ export const Config = {
     yAxisRightShowAxisLine: true,
     yAxisRightMin: null,
     yAxisRightMax: null,
+    yAxisRightScale: 'linear', // Same options as yAxisLeftScale
+    yAxisRightTickCount: null, // Tick settings as for the left axis
+    yAxisRightTickInterval: null,
+    yAxisRightTickValues: '',
+    yAxisRightMinorTicks: 0,
+    yAxisRightMinorTickColor: '#cccccc',
+    yAxisRightMinorTickSize: 3,
     yAxisRightFormat: 'auto',
     yAxisRightDecimals: 0,
     yAxisRightCurrencySymbol: '$',
@@ -244,6 +329,7 @@ export const Config = {
     gridVertical: false,
     gridColor: '#e0e0e0',
     gridOpacity: 0.5,
+    gridMinor: true, // Value gridlines at the Y Axis Left minor ticks too, at half opacity
 
     // Title
     titleShow: true,
@@ -313,8 +399,8 @@ export const Config = {
     legendAlign: 'center', // 'left', 'center', 'right'
     legendDimensionLabel: '',  // Custom label for dimension (empty = use dimension name)
     legendBar1Label: '',  // Custom label for bar 1 (empty = use measure name)
-    legendBar2Label: '',  // Custom label for bar 2
-    legendLineLabel: '',  // Custom label for line
+    legendBar2Label: '',  // Custom label for bar 2 (bar 3+ use legendBar3Label, ...)
+    legendLineLabel: '',  // Custom label for line (line 2+ use legendLine2Label, ...)
     legendBgColor: 'transparent',
     legendLayout: 'wrap', // 'wrap' (multiple rows) or 'nowrap' (single row)
     legendVerticalAlign: 'top', // 'top', 'center', 'bottom' — used for left/right positioned legends
@@ -384,23 +470,95 @@ export const Config = {
     }
   },
 
+  /**
+   * Upgrade settings saved in an older format, once (the result carries the current
+   * settingsVersion). Version 1 mapped one field each to bar1Measure, bar2Measure and
+   * lineMeasure; their fields keep the series keys (bar1, bar2, line) their styles were
+   * saved under.
+   * @param {Object} saved - Parsed Tableau settings
+   * @returns {Object} Settings in the current format
+   */
+  migrateSettings(saved) {
+    if ((saved.settingsVersion ?? 1) >= SETTINGS_VERSION) return saved
+    const { bar1Measure, bar2Measure, lineMeasure, ...migrated } = saved
+    migrated.settingsVersion = SETTINGS_VERSION
+    if (bar1Measure || bar2Measure) {
+      migrated.barMeasures = [bar1Measure, bar2Measure].filter(Boolean)
+      migrated.barSeriesKeys = {}
+      if (bar2Measure) migrated.barSeriesKeys[bar2Measure] = 'bar2'
+      if (bar1Measure) migrated.barSeriesKeys[bar1Measure] = 'bar1'
+    }
+    if (lineMeasure) {
+      migrated.lineMeasures = [lineMeasure]
+      migrated.lineSeriesKeys = { [lineMeasure]: 'line' }
+    }
+    return migrated
+  },
+
   /**
    * Apply a color palette to the current configuration
+   * @param {string} paletteId
+   * @param {Array<string>} [barKeys] - Bar series keys in display order
+   * @param {Array<string>} [lineKeys] - Line series keys in display order
    */
-  applyColorPalette(paletteId) {
+  applyColorPalette(paletteId, barKeys, lineKeys) {
     const palette = this.colorPalettes[paletteId]
     if (palette && palette.colors.length >= 3) {
-      this.current.colorPalette = paletteId
-      this.current.bar1Color = palette.colors[0]
-      this.current.bar2Color = palette.colors[1]
-      this.current.lineColor = palette.colors[2]
-      this.current.pointFill = palette.colors[2]
-      // Generate border colors (darker versions)
-      this.current.bar1BorderColor = this.darkenColor(palette.colors[0], 20)
-      this.current.bar2BorderColor = this.darkenColor(palette.colors[1], 20)
+      Object.assign(this.current, this.getPaletteColors(paletteId, barKeys, lineKeys))
     }
   },
 
+  /**
+   * Default bar color for a zero-based bar position.
+   * Palette slot 2 is reserved for the line, so bar 3+ continue from slot 3.
+   */
+  getBarColor(paletteId, index) {
+    const colors = (this.colorPalettes[paletteId] || this.colorPalettes.tableau10).colors
+    const slot = index < 2 ? index : index + 1
+    return colors[slot % colors.length]
+  },
+
+  /**
+   * Default line color for a zero-based line position.
+   * The first line uses palette slot 2; later lines take colors from the end of
+   * the palette so they stay distinct from the bars.
+   */
+  getLineColor(paletteId, index) {
+    const colors = (this.colorPalettes[paletteId] || this.colorPalettes.tableau10).colors
+    return index === 0 ? colors[2] : colors[(colors.length - index) % colors.length]
+  },
+
+  /**
+   * Color for a zero-based Series/Color member.
+   * Members cycle through the whole palette, like Tableau's Color shelf.
+   */
+  getSeriesColor(paletteId, index) {
+    const colors = (this.colorPalettes[paletteId] || this.colorPalettes.tableau10).colors
+    return colors[index % colors.length]
+  },
+
+  /**
+   * Build the color keys a palette sets: each bar with its border, and each line
+   * with its points, colored by display position
+   * @param {string} paletteId
+   * @param {Array<string>} [barKeys] - Bar series keys in display order
+   * @param {Array<string>} [lineKeys] - Line series keys in display order
+   */
+  getPaletteColors(paletteId, barKeys = ['bar1', 'bar2'], lineKeys = ['line']) {
+    const updates = { colorPalette: paletteId }
+    barKeys.forEach((key, i) => {
+      const color = this.getBarColor(paletteId, i)
+      updates[key + 'Color'] = color
+      updates[key + 'BorderColor'] = this.darkenColor(color, 20)
+    })
+    lineKeys.forEach((key, i) => {
+      const color = this.getLineColor(paletteId, i)
+      updates[key + 'Color'] = color
+      updates[key === 'line' ? 'pointFill' : key + 'PointFill'] = color
+    })
+    return updates
+  },
+
   /**
    * Darken a hex color by a percentage
    */
@@ -2,6 +2,7 @@
  * Display Name Utilities
  * Single source of truth for field/measure display names throughout the extension
  */
+import { getBarSeries, getLineSeries } from './series';
 
 /**
  * Clean field name by removing aggregation functions
@@ -14,19 +15,26 @@ export const cleanFieldName = (name) => {
 }
 
 /**
- * Get display name for a measure (bar1, bar2, or line)
+ * Whether a summary data column is an aggregated measure: SUM(Sales), CNTD(Customer)...
+ * Numeric columns without an aggregation are discrete dimensions, such as a whole-number
+ * field or a date part (YEAR(Order Date)).
+ */
+export const isAggregatedField = (name) =>
+  /^(SUM|AVG|MIN|MAX|CNT|CNTD|COUNT|COUNTD|AGG|MEDIAN|STDEV|STDEVP|VAR|VARP|ATTR|PCT\d+)\(.+\)$/i.test(name || '');
+
+/**
+ * Config key holding the custom legend label for a series type
+ * dimension → legendDimensionLabel, bar3 → legendBar3Label, line → legendLineLabel
+ */
+export const getLabelKey = (type) => `legend${type.charAt(0).toUpperCase()}${type.slice(1)}Label`;
+
+/**
+ * Get display name for a measure (bar1 ... barN, line ... lineN)
  * Priority: custom label > axis title (for dimension) > cleaned field name > 'Unknown'
  */
 export const getDisplayName = (type, fieldNames, config) => {
-  const fieldName = type === 'bar1' ? fieldNames?.bar1
-    : type === 'bar2' ? fieldNames?.bar2
-    : type === 'line' ? fieldNames?.line
-    : fieldNames?.dimension;
-
-  const customLabel = type === 'bar1' ? config?.legendBar1Label
-    : type === 'bar2' ? config?.legendBar2Label
-    : type === 'line' ? config?.legendLineLabel
-    : config?.legendDimensionLabel;
+  const fieldName = fieldNames?.[type];
+  const customLabel = config?.[getLabelKey(type)];
 
   // Custom label takes priority
   if (customLabel) return customLabel;
@@ -42,12 +50,19 @@ export const getDisplayName = (type, fieldNames, config) => {
 
 /**
  * Get field names object from current data mapping
+ * Series are keyed by their series key (bar1 ... barN, line ... lineN), which stays
+ * with its field when the mapping is reordered
  */
 export const getFieldNames = (config) => {
-  return {
+  const names = {
     dimension: config?.dimension || '',
-    bar1: config?.bar1Measure || '',
-    bar2: config?.bar2Measure || '',
-    line: config?.lineMeasure || ''
+    series: config?.seriesDimension || '',
+    line: '',
+    // Computed series (not a data field): cumulative share in Pareto mode
+    pareto: 'Cumulative %'
   };
+  [...getBarSeries(config), ...getLineSeries(config)].forEach(({ key, field }) => {
+    names[key] = field;
+  });
+  return names;
 }
@@ -0,0 +1,134 @@
+/**
+ * Downsampling Utilities
+ * Reduce dense line series to roughly one point per pixel while keeping their
+ * visual shape: Largest-Triangle-Three-Buckets (LTTB) or min/max per bucket
+ */
+
+/**
+ * Largest-Triangle-Three-Buckets: keeps the first and last point, and from each
+ * bucket in between the point forming the largest triangle with its neighbours
+ * @param {Array<{x: number, y: number}>} points - Sorted by x
+ * @param {number} threshold - Number of points to keep
+ */
+export const lttb = (points, threshold) => {
+  const n = points.length
+  if (threshold >= n || threshold < 3) return points
+
+  const sampled = [points[0]]
+  const every = (n - 2) / (threshold - 2)
+  let a = 0
+
+  for (let i = 0; i < threshold - 2; i++) {
+    // Average of the next bucket is the third triangle vertex
+    const avgStart = Math.floor((i + 1) * every) + 1
+    const avgEnd = Math.min(Math.floor((i + 2) * every) + 1, n)
+    let avgX = 0
+    let avgY = 0
+    for (let j = avgStart; j < avgEnd; j++) {
+      avgX += points[j].x
+      avgY += points[j].y
+    }
+    avgX /= avgEnd - avgStart
+    avgY /= avgEnd - avgStart
+
+    const rangeStart = Math.floor(i * every) + 1
+    const rangeEnd = Math.floor((i + 1) * every) + 1
+    let maxArea = -1
+    let next = rangeStart
+    for (let j = rangeStart; j < rangeEnd; j++) {
+      const area = Math.abs(
+        (points[a].x - avgX) * (points[j].y - points[a].y) -
+        (points[a].x - points[j].x) * (avgY - points[a].y)
+      )
+      if (area > maxArea) {
+        maxArea = area
+        next = j
+      }
+    }
+    sampled.push(points[next])
+    a = next
+  }
+
+  sampled.push(points[n - 1])
+  return sampled
+}
+
+/**
+ * Min/max per bucket: splits the x range into equal buckets and keeps the
+ * lowest and highest point of each, so spikes are never lost
+ * @param {Array<{x: number, y: number}>} points - Sorted by x
+ * @param {number} bucketCount - Number of x buckets (about one per pixel)
+ */
+export const minMaxBuckets = (points, bucketCount) => {
+  const n = points.length
+  if (n <= bucketCount * 2 || bucketCount < 1) return points
+
+  const x0 = points[0].x
+  const span = points[n - 1].x - x0 || 1
+  const sampled = [points[0]]
+  let bucket = -1
+  let min = null
+  let max = null
+
+  const flush = () => {
+    if (!min) return
+    // Keep the pair in x order so the path doesn't double back
+    const pair = min === max ? [min] : min.x <= max.x ? [min, max] : [max, min]
+    pair.forEach(p => { if (p !== sampled[sampled.length - 1]) sampled.push(p) })
+  }
+
+  for (let i = 1; i < n - 1; i++) {
+    const p = points[i]
+    const b = Math.min(bucketCount - 1, Math.floor(((p.x - x0) / span) * bucketCount))
+    if (b !== bucket) {
+      flush()
+      bucket = b
+      min = max = p
+    } else {
+      if (p.y < min.y) min = p
+      if (p.y > max.y) max = p
+    }
+  }
+  flush()
+
+  sampled.push(points[n - 1])
+  return sampled
+}
+
+/**
+ * Downsample a series across chart rows. Each unbroken run of values is
+ * reduced on its own (with a share of the budget) and the null row after it
+ * is kept, so gaps in the line survive.
+ * @param {Array} rows - Chart rows in axis order
+ * @param {Function} x - Row → pixel x
+ * @param {Function} y - Row → value (null when missing)
+ * @param {string} mode - 'lttb' or 'minmax'
+ * @param {number} target - Approximate number of points to keep
+ * @returns {Array} Subset of rows (the same array when no reduction is needed)
+ */
+export const downsampleRows = (rows, x, y, mode, target) => {
+  const definedCount = rows.reduce((n, row) => n + (y(row) != null ? 1 : 0), 0)
+  if (definedCount <= target) return rows
+
+  const result = []
+  let run = []
+  const flushRun = () => {
+    if (run.length === 0) return
+    const share = Math.max(2, Math.round((target * run.length) / definedCount))
+    const reduced = mode === 'minmax' ? minMaxBuckets(run, Math.ceil(share / 2)) : lttb(run, share)
+    reduced.forEach(p => result.push(p.row))
+    run = []
+  }
+
+  rows.forEach(row => {
+    const value = y(row)
+    if (value == null) {
+      flushRun()
+      if (result.length > 0 && y(result[result.length - 1]) != null) result.push(row)
+    } else {
+      run.push({ x: x(row), y: value, row })
+    }
+  })
+  flushRun()
+  return result
+}
@@ -0,0 +1,112 @@
+/**
+ * Measure Names / Measure Values Utilities
+ * Tableau returns Measure Values as long-format summary data: one row per mark
+ * and measure, with the measure identified by the Measure Names column. These
+ * helpers pivot it back into one virtual column per measure name so each
+ * measure can be mapped to a bar or line like a regular field.
+ */
+
+import { isAggregatedField } from './displayNames'
+
+export const MEASURE_NAMES = 'Measure Names'
+export const MEASURE_VALUES = 'Measure Values'
+
+// Encodings of the 1.x manifest (one measure each), read as part of Bars
+const LEGACY_BAR_ENCODINGS = ['bar1', 'bar2']
+
+// Fields on the Bars encoding, then on the legacy bar encodings
+const barEncodingFields = (encodingMap) =>
+  ['bars', ...LEGACY_BAR_ENCODINGS].flatMap(id => encodingMap?.[id] || [])
+
+/**
+ * Check whether a column holds an aggregated measure; numeric columns without an
+ * aggregation (a discrete year, a whole-number code) are dimensions
+ */
+export const isMeasureColumn = (col) =>
+  (col.dataType === 'float' || col.dataType === 'int') && isAggregatedField(col.fieldName)
+
+/**
+ * Check whether the summary data contains Measure Names / Measure Values
+ */
+export const hasMeasureValues = (cols) =>
+  cols.some(c => c.fieldName === MEASURE_NAMES) && cols.some(c => c.fieldName === MEASURE_VALUES)
+
+/**
+ * Pivot Measure Values rows into one row per mark, with one float column per
+ * measure name. Pivoted columns are flagged with `measureName: true`.
+ * @param {Array} rows - Processed summary rows ({ fieldName: { value, formattedValue } })
+ * @param {Array} cols - Column descriptors ({ fieldName, dataType, index })
+ * @returns {{ rows: Array, columns: Array }}
+ */
+export const pivotMeasureValues = (rows, cols) => {
+  const baseCols = cols.filter(c => c.fieldName !== MEASURE_NAMES && c.fieldName !== MEASURE_VALUES)
+  // Marks are identified by their dimension values; regular measures repeat on every row
+  const keyFields = baseCols.filter(c => !isMeasureColumn(c)).map(c => c.fieldName)
+  const names = []
+  const marks = new Map()
+
+  rows.forEach(row => {
+    const name = row[MEASURE_NAMES]?.formattedValue || row[MEASURE_NAMES]?.value
+    if (!name) return
+    if (!names.includes(name)) names.push(name)
+
+    const markKey = JSON.stringify(keyFields.map(f => row[f]?.value))
+    if (!marks.has(markKey)) {
+      const mark = {}
+      baseCols.forEach(c => { mark[c.fieldName] = row[c.fieldName] })
+      marks.set(markKey, mark)
+    }
+    marks.get(markKey)[name] = row[MEASURE_VALUES]
+  })
+
+  // A measure that is also on the marks card on its own keeps its real column
+  const virtualNames = names.filter(name => !baseCols.some(c => c.fieldName === name))
+
+  return {
+    rows: [...marks.values()],
+    columns: [
+      ...baseCols,
+      ...virtualNames.map((name, i) => ({
+        fieldName: name,
+        dataType: 'float',
+        index: cols.length + i,
+        measureName: true
+      }))
+    ]
+  }
+}
+
+/**
+ * Role of a measure name: 'bar', 'line' or 'hidden'.
+ * Names without a saved role follow the encoding Measure Values was placed on.
+ */
+export const getMeasureNameRole = (config, name, encodingMap) => {
+  const saved = config?.measureNameRoles?.[name]
+  if (saved) return saved
+  const onBars = barEncodingFields(encodingMap).includes(MEASURE_VALUES)
+  const onLines = (encodingMap?.line || []).includes(MEASURE_VALUES)
+  return onLines && !onBars ? 'line' : 'bar'
+}
+
+/**
+ * Resolve the data mapping from the marks card encodings.
+ * Measure Values expands into the measure names assigned to each role, and
+ * Measure Names is dropped since each measure name already is its own series.
+ * @param {Object} encodingMap - { encodingId: [fieldName, ...] }
+ * @param {Array} columns - Column descriptors (pivoted measure names flagged)
+ * @param {Object} config - Config holding measureNameRoles
+ * @returns {{ dimension: string, series: string, bars: Array<string>, lines: Array<string> }}
+ */
+export const resolveEncodings = (encodingMap, columns, config) => {
+  const measureFields = (list) => list.filter(f => f !== MEASURE_NAMES && f !== MEASURE_VALUES)
+  const fields = (id) => measureFields(encodingMap?.[id] || [])
+  const names = (columns || []).filter(c => c.measureName).map(c => c.fieldName)
+  const withRole = (role) => names.filter(name => getMeasureNameRole(config, name, encodingMap) === role)
+
+  return {
+    dimension: fields('dimension')[0] || '',
+    series: fields('series')[0] || '',
+    bars: [...measureFields(barEncodingFields(encodingMap)), ...withRole('bar')],
+    lines: [...fields('line'), ...withRole('line')]
+  }
+}
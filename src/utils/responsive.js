@@ -0,0 +1,50 @@
+/**
+ * Responsive Layout Utilities
+ * Breakpoints that simplify the chart on small dashboard tiles: drop axis
+ * titles, thin out ticks and hide labels as the tile shrinks.
+ */
+
+/**
+ * Apply the configured breakpoints for a tile size.
+ * Titles and labels go when either side is below their breakpoint; ticks are
+ * thinned per direction (x by width, y by height).
+ * @param {Object} config - Saved config
+ * @param {{ width: number, height: number }|null} size - Chart container size
+ * @returns {{ config: Object, thinXTicks: boolean, thinYTicks: boolean }}
+ *   config is the saved config itself when no breakpoint applies
+ */
+export const applyBreakpoints = (config, size) => {
+  if (!size || config.responsiveEnabled === false) {
+    return { config, thinXTicks: false, thinYTicks: false }
+  }
+
+  const { width, height } = size
+  const below = (breakpoint) => Math.min(width, height) < (breakpoint || 0)
+  const overrides = {}
+
+  if (below(config.breakpointTitles)) {
+    Object.assign(overrides, {
+      xAxisShowTitle: false,
+      yAxisLeftShowTitle: false,
+      yAxisRightShowTitle: false
+    })
+  }
+
+  if (below(config.breakpointLabels)) {
+    Object.assign(overrides, {
+      xAxisShowLabels: false,
+      yAxisLeftShowLabels: false,
+      yAxisRightShowLabels: false
+    })
+    // Data labels of every bar and line series (bar1LabelsShow, lineLabelsShow, ...)
+    Object.keys(config).forEach(key => {
+      if (key.endsWith('LabelsShow') && config[key]) overrides[key] = false
+    })
+  }
+
+  return {
+    config: Object.keys(overrides).length > 0 ? { ...config, ...overrides } : config,
+    thinXTicks: width < (config.breakpointTicks || 0),
+    thinYTicks: height < (config.breakpointTicks || 0)
+  }
+}
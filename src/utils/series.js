@@ -0,0 +1,286 @@
+/**
+ * Series Utilities
+ * Resolves mapped measures into stable series keys (bar1, bar2, ... barN and
+ * line, line2, ... lineN) and per-series style settings with palette-based defaults.
+ * A series key belongs to its field (barSeriesKeys / lineSeriesKeys), so the
+ * settings saved under it follow the measure when the mapping is reordered.
+ */
+import { Config } from './config'
+
+/**
+ * Data fields the current mapping reads: category, Series/Color, bar and line measures
+ * @param {Object} config - Full config object
+ * @returns {Array<string>}
+ */
+export const getMappedFields = (config) => [
+  config?.dimension,
+  config?.seriesDimension,
+  ...(config?.barMeasures || []),
+  ...(config?.lineMeasures || [])
+].filter(Boolean)
+
+/**
+ * Bar series key for a zero-based number: 0 → 'bar1'
+ */
+export const barKey = (index) => `bar${index + 1}`
+
+/**
+ * Line series key for a zero-based number: 0 → 'line', 1 → 'line2'
+ * The first line keeps the unnumbered keys (lineColor, lineLabels...) it always had.
+ */
+export const lineKey = (index) => index === 0 ? 'line' : `line${index + 1}`
+
+/**
+ * Series key of each entry of a measure list: the field's saved key, else the lowest
+ * numbered key no field holds. Removed fields keep their key, so their settings come
+ * back when they are mapped again instead of passing to another measure.
+ * Empty entries (unmapped slots) take a free key without saving it.
+ * @param {Array<string>} fields - Measure list in display order
+ * @param {Object} saved - Saved keys by field name
+ * @param {Function} keyAt - Key for a zero-based number (barKey or lineKey)
+ * @returns {{ keys: Array<string>, saved: Object }} Key per entry and the updated saved keys
+ */
+const assignKeys = (fields, saved, keyAt) => {
+  const updated = { ...saved }
+  const used = new Set(Object.values(updated))
+  let next = 0
+  const freeKey = () => {
+    while (used.has(keyAt(next))) next++
+    used.add(keyAt(next))
+    return keyAt(next)
+  }
+  const keys = fields.map(field => {
+    if (!field) return freeKey()
+    if (!updated[field]) updated[field] = freeKey()
+    return updated[field]
+  })
+  return { keys, saved: updated }
+}
+
+const listTypes = {
+  bar: { list: 'barMeasures', saved: 'barSeriesKeys', keyAt: barKey },
+  line: { list: 'lineMeasures', saved: 'lineSeriesKeys', keyAt: lineKey }
+}
+
+/**
+ * Save a series key for every mapped bar and line measure that has none yet
+ * @param {Object} config - Full config object
+ * @returns {Object} Config with barSeriesKeys and lineSeriesKeys filled in
+ */
+export const withSeriesKeys = (config) => {
+  const updated = { ...config }
+  Object.values(listTypes).forEach(({ list, saved, keyAt }) => {
+    updated[saved] = assignKeys((config[list] || []).filter(Boolean), config[saved] || {}, keyAt).saved
+  })
+  return updated
+}
+
+/**
+ * Apply a data mapping change (measure lists, dimensions) so every measure keeps its
+ * series key: keys of the current mapping are saved first, then new fields get theirs
+ * @param {Object} config - Full config object
+ * @param {Object} mapping - Changed mapping keys ({ barMeasures, lineMeasures, ... })
+ */
+export const withMapping = (config, mapping) => withSeriesKeys({ ...withSeriesKeys(config), ...mapping })
+
+/**
+ * Series slots of a measure list for the settings tabs: every entry (empty ones
+ * included) padded with unmapped slots to minCount, each with its series key
+ * @param {Object} config - Full config object
+ * @param {'bar'|'line'} type
+ * @param {number} minCount - Slots shown before anything is mapped
+ * @returns {Array<{key: string, field: string, index: number}>}
+ */
+export const getSeriesSlots = (config, type, minCount) => {
+  const { list, saved, keyAt } = listTypes[type]
+  const fields = [...(config?.[list] || [])]
+  while (fields.length < minCount) fields.push('')
+  const { keys } = assignKeys(fields, config?.[saved] || {}, keyAt)
+  return fields.map((field, index) => ({ key: keys[index], field, index }))
+}
+
+// Mapped series of a measure list in display order
+const getMappedSeries = (config, type) => {
+  const { list, saved, keyAt } = listTypes[type]
+  const fields = (config?.[list] || []).filter(Boolean)
+  const { keys } = assignKeys(fields, config?.[saved] || {}, keyAt)
+  return fields.map((field, index) => ({ key: keys[index], field, index }))
+}
+
+/**
+ * Resolve a saved measure setting (Top N rank or category sort measure: a series key or
+ * 'barTotal')
+ * against the mapped series. Series keys stay with their field, so a key saved for a
+ * field that has since been replaced is no longer drawn; it falls back to the first
+ * bar, else the first line, else 'barTotal'.
+ * @param {Object} config - Full config object
+ * @param {string} measure - Saved series key or 'barTotal'
+ * @returns {string}
+ */
+export const resolveSeriesMeasure = (config, measure) => {
+  if (measure === 'barTotal') return measure
+  const keys = [...getBarSeries(config), ...getLineSeries(config)].map(s => s.key)
+  if (keys.includes(measure)) return measure
+  return getBarSeries(config)[0]?.key || getLineSeries(config)[0]?.key || 'barTotal'
+}
+
+/**
+ * Get the mapped bar series in display order
+ * @param {Object} config - Full config object
+ * @returns {Array<{key: string, field: string, index: number}>}
+ */
+export const getBarSeries = (config) => getMappedSeries(config, 'bar')
+
+/**
+ * Series color: the saved color, else the palette color of its role (bar or line),
+ * so a measure keeps its color whichever mark type draws it
+ */
+const getSeriesColor = (config, key, index) => config[key + 'Color'] ||
+  (key.startsWith('bar') ? Config.getBarColor : Config.getLineColor)(config.colorPalette, index)
+
+/**
+ * Mark type a series is drawn with: 'bar', 'line', 'area', 'step' or 'dots'.
+ * Bar measures default to bars and line measures to lines.
+ */
+export const getMarkType = (config, key) =>
+  config[key + 'MarkType'] || (key.startsWith('bar') ? 'bar' : 'line')
+
+/**
+ * Value axis of a series in dual axis mode ('left' or 'right'): its {key}Axis setting,
+ * else left for series drawn as bars and right for the others
+ */
+const getSeriesAxis = (config, key) =>
+  config[key + 'Axis'] || (getMarkType(config, key) === 'bar' ? 'left' : 'right')
+
+/**
+ * Resolve fill/border and axis settings for a bar series.
+ * Bar 1 and Bar 2 have explicit defaults in Config.current; later bars fall back
+ * to the active color palette.
+ */
+export const getBarStyle = (config, key, index) => {
+  const color = getSeriesColor(config, key, index)
+  return {
+    color,
+    opacity: config[key + 'Opacity'] ?? 1,
+    showBorder: config[key + 'ShowBorder'] ?? true,
+    borderColor: config[key + 'BorderColor'] || Config.darkenColor(color, 20),
+    borderWidth: config[key + 'BorderWidth'] ?? 1,
+    cornerRadius: config[key + 'CornerRadius'] ?? 2,
+    axis: getSeriesAxis(config, key)
+  }
+}
+
+/**
+ * Distinct members of the Series/Color dimension, in data order
+ * @param {Array} data - Summary data rows ({ fieldName: { value, formattedValue } })
+ * @param {string} field - Series/Color dimension field name
+ * @returns {Array<string>}
+ */
+export const getSeriesMembers = (data, field) => {
+  if (!field || !data) return []
+  const members = new Set()
+  data.forEach(row => {
+    const member = row[field]?.formattedValue || row[field]?.value
+    if (member != null) members.add(member)
+  })
+  return [...members]
+}
+
+/**
+ * Number of bar measures a bar style draws: waterfall uses the first one,
+ * overlap and target marker styles the first two (actual vs target).
+ * These styles never split by Series/Color.
+ * @returns {number|undefined} undefined when every bar measure is drawn
+ */
+export const getBarStyleSeriesLimit = (config) =>
+  ({ waterfall: 1, overlap: 2, target: 2 })[config.barStyle]
+
+/**
+ * Get the bar series to draw, with resolved styles: bar measures and line measures
+ * whose mark type is 'bar', in that order.
+ * With a Series/Color dimension each bar measure splits into one sub-series per
+ * member (keys bar1_0, bar1_1, ...) colored from the palette. `parent` is always
+ * the bar key whose label, format and border settings the series uses.
+ * @param {Object} config - Full config object
+ * @param {Array<string>} members - Series/Color members (empty when not split)
+ */
+export const getDrawnBarSeries = (config, members = []) => {
+  const limit = getBarStyleSeriesLimit(config)
+  const bars = [...getBarSeries(config), ...getLineSeries(config)]
+    .filter(s => getMarkType(config, s.key) === 'bar')
+    .slice(0, limit)
+  return bars.flatMap(s => {
+    const base = getBarStyle(config, s.key, s.index)
+    // Line measures drawn as bars are never split
+    if (members.length === 0 || limit || !s.key.startsWith('bar')) {
+      return [{ ...s, parent: s.key, style: base }]
+    }
+    return members.map((member, m) => {
+      const color = Config.getSeriesColor(config.colorPalette, s.index * members.length + m)
+      return {
+        ...s,
+        key: `${s.key}_${m}`,
+        parent: s.key,
+        member,
+        style: { ...base, color, borderColor: Config.darkenColor(color, 20) }
+      }
+    })
+  })
+}
+
+/**
+ * Get the series drawn as lines, areas, steps or dots, with resolved styles and
+ * `markType`: line measures and bar measures whose mark type is not 'bar', in
+ * that order. Their axis follows {key}Axis, right by default.
+ * @param {Object} config - Full config object
+ */
+export const getDrawnLineSeries = (config) =>
+  [...getLineSeries(config), ...getBarSeries(config)]
+    .filter(s => getMarkType(config, s.key) !== 'bar')
+    .map(s => ({ ...s, markType: getMarkType(config, s.key), style: getLineStyle(config, s.key, s.index) }))
+
+/**
+ * Get the mapped line series in display order
+ * @param {Object} config - Full config object
+ * @returns {Array<{key: string, field: string, index: number}>}
+ */
+export const getLineSeries = (config) => getMappedSeries(config, 'line')
+
+/**
+ * Config key for a line's point setting (e.g. 'Fill' → pointFill / line2PointFill).
+ * Point settings for the first line predate multi-line support and stay unprefixed.
+ */
+export const getPointKey = (key, prop) => key === 'line' ? 'point' + prop : key + 'Point' + prop
+
+/**
+ * Computed cumulative % series of Pareto mode. Styled like a line series under
+ * the 'pareto' key (paretoColor, paretoWidth, ...) and always on the right axis.
+ */
+export const PARETO_KEY = 'pareto'
+
+export const getParetoSeries = (config, index) => ({
+  key: PARETO_KEY,
+  field: '',
+  index,
+  markType: 'line',
+  style: { ...getLineStyle(config, PARETO_KEY, index), axis: 'right' }
+})
+
+/**
+ * Resolve stroke, point and axis settings for a line series
+ */
+export const getLineStyle = (config, key, index) => {
+  const color = getSeriesColor(config, key, index)
+  return {
+    color,
+    opacity: config[key + 'Opacity'] ?? 1,
+    areaOpacity: config[key + 'AreaOpacity'] ?? 0.3, // Fill under an area, relative to opacity
+    width: config[key + 'Width'] ?? 2,
+    dash: config[key + 'Style'] || 'solid',
+    curve: config[key + 'Curve'] || 'linear',
+    axis: getSeriesAxis(config, key),
+    pointShape: config[getPointKey(key, 'Shape')] || 'circle',
+    pointFill: config[getPointKey(key, 'Fill')] || color
+  }
+}
+
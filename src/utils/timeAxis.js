@@ -0,0 +1,81 @@
+/**
+ * Time Axis Utilities
+ * Date parsing, grain detection and calendar-aware tick intervals for the
+ * continuous (time scale) x-axis
+ */
+import * as d3 from 'd3'
+
+const DAY = 24 * 60 * 60 * 1000
+
+// Calendar quarters (Jan, Apr, Jul, Oct); d3 has no built-in quarter interval
+const timeQuarter = d3.timeInterval(
+  (date) => {
+    date.setMonth(date.getMonth() - (date.getMonth() % 3), 1)
+    date.setHours(0, 0, 0, 0)
+  },
+  (date, step) => date.setMonth(date.getMonth() + step * 3),
+  (start, end) => (end.getFullYear() - start.getFullYear()) * 4 +
+    Math.floor(end.getMonth() / 3) - Math.floor(start.getMonth() / 3)
+)
+
+/**
+ * Supported date grains: the d3 interval used for bar widths and ticks,
+ * and the default tick label format
+ */
+export const timeGrains = {
+  day: { interval: d3.timeDay, format: d3.timeFormat('%b %-d') },
+  week: { interval: d3.timeWeek, format: d3.timeFormat('%b %-d') },
+  month: { interval: d3.timeMonth, format: d3.timeFormat('%b %Y') },
+  quarter: { interval: timeQuarter, format: d => `Q${Math.floor(d.getMonth() / 3) + 1} ${d.getFullYear()}` },
+  year: { interval: d3.timeYear, format: d3.timeFormat('%Y') }
+}
+
+/**
+ * Parse a Tableau date / date-time value into a local Date
+ * Date-only strings (2024-03-01) are read as local midnight rather than UTC
+ * @returns {Date|null}
+ */
+export const parseDateValue = (value) => {
+  if (value instanceof Date) return isNaN(value) ? null : value
+  if (value == null || value === '') return null
+  if (typeof value === 'number') return new Date(value)
+
+  const text = String(value)
+  const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text)
+  const date = dateOnly
+    ? new Date(+dateOnly[1], +dateOnly[2] - 1, +dateOnly[3])
+    : new Date(text.replace(' ', 'T'))
+  return isNaN(date) ? null : date
+}
+
+/**
+ * Infer the date grain from the smallest gap between consecutive dates
+ * @param {Array<Date>} dates - Sorted ascending
+ */
+export const inferTimeGrain = (dates) => {
+  let minGap = Infinity
+  for (let i = 1; i < dates.length; i++) {
+    const gap = dates[i] - dates[i - 1]
+    if (gap > 0 && gap < minGap) minGap = gap
+  }
+  if (!isFinite(minGap)) return 'month'
+  if (minGap >= 365 * DAY) return 'year'
+  if (minGap >= 89 * DAY) return 'quarter'
+  if (minGap >= 28 * DAY) return 'month'
+  if (minGap >= 7 * DAY) return 'week'
+  return 'day'
+}
+
+/**
+ * Tick interval for a grain: every period, or every Nth period when there are
+ * more periods than fit (e.g. every 3rd month)
+ * @param {string} grain - Key of timeGrains
+ * @param {Array<Date>} domain - [start, end]
+ * @param {number} maxTicks - Maximum number of ticks that fit the axis
+ */
+export const getTimeTickInterval = (grain, domain, maxTicks) => {
+  const { interval } = timeGrains[grain]
+  const periods = interval.count(domain[0], domain[1])
+  const step = Math.ceil(periods / Math.max(1, maxTicks))
+  return step > 1 ? interval.every(step) : interval
+}
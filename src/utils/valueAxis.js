@@ -0,0 +1,187 @@
+/**
+ * Value Axis Utilities
+ * Scale types, domains and tick values for the left and right value axes
+ */
+import * as d3 from 'd3'
+
+// Value scale per axis scale type; log scales clamp so values at or below zero
+// (bar and area baselines) sit at the bottom of the axis
+const scaleTypes = {
+  linear: () => d3.scaleLinear(),
+  log: () => d3.scaleLog().clamp(true),
+  symlog: () => d3.scaleSymlog(),
+  sqrt: () => d3.scaleSqrt()
+}
+
+/**
+ * Create an empty value scale of the given type
+ * @param {string} type - 'linear', 'log', 'symlog' or 'sqrt' (unknown types are linear)
+ */
+export const createValueScale = (type) => (scaleTypes[type] || scaleTypes.linear)()
+
+/**
+ * Positive domain for a log scale: a lower bound at or below zero moves up to the
+ * smallest positive value on the axis (1 when there is none)
+ * @param {[number, number]} domain
+ * @param {number|undefined} positiveMin - Smallest positive value drawn on the axis
+ */
+export const toLogDomain = ([min, max], positiveMin) => {
+  const low = min > 0 ? min : positiveMin ?? 1
+  return [low, max > low ? max : low * 10]
+}
+
+/**
+ * Automatic domain of a value axis: the extent of its values padded by 10% of the span
+ * at both ends. Include Zero extends it to zero, and padding never crosses zero, so
+ * bars keep their baseline on the axis and negative values keep their room below it.
+ * @param {Array<number>} values - Values drawn on the axis (nulls are ignored)
+ * @param {boolean} includeZero
+ * @returns {[number, number]}
+ */
+export const autoDomain = (values, includeZero = true) => {
+  let min = d3.min(values) ?? 0
+  let max = d3.max(values) ?? 0
+  if (includeZero) {
+    min = Math.min(0, min)
+    max = Math.max(0, max)
+  }
+  if (min === 0 && max === 0) return [0, 1]
+  const pad = (max - min || Math.abs(max)) * 0.1
+  return [
+    min < 0 ? min - pad : Math.max(0, min - pad),
+    max > 0 ? max + pad : Math.min(0, max + pad)
+  ]
+}
+
+/**
+ * Round a value scale's domain outwards to nice values (log scales snap to powers of ten).
+ * Symlog domains are kept as they are: rounding them on a linear basis would stretch
+ * the axis by whole decades.
+ * @param {Object} scale - d3 value scale with its domain set
+ * @param {string} type - Scale type of the axis
+ */
+export const niceValueScale = (scale, type) => type === 'symlog' ? scale : scale.nice()
+
+// Zero and the powers of ten on either side within the domain. With more than count
+// ticks every 2nd, 3rd, ... power is kept, counted from the outermost power on each
+// side so the ends of the axis (and 1) always keep their tick.
+const symlogTicks = ([min, max], count) => {
+  const exponents = end => Math.abs(end) < 1 ? [] : d3.range(Math.floor(Math.log10(Math.abs(end))) + 1)
+  const below = exponents(Math.min(min, 0))
+  const above = exponents(Math.max(max, 0))
+  const step = Math.ceil((below.length + above.length + 1) / count)
+  const thin = list => list.filter(e => e === 0 || (list.length - 1 - e) % step === 0)
+  return [...thin(below).map(e => -(10 ** e)).reverse(), 0, ...thin(above).map(e => 10 ** e)]
+    .filter(v => v >= min && v <= max)
+}
+
+// More ticks than this from a fixed interval falls back to the automatic ticks
+const MAX_INTERVAL_TICKS = 200
+
+/**
+ * Explicit tick values from a list separated by commas, semicolons or spaces
+ * ("0, 2500, 10000"; no thousands separators)
+ * @param {string} text
+ * @returns {Array<number>}
+ */
+export const parseTickValues = (text) => String(text ?? '')
+  .split(/[\s,;]+/)
+  .filter(Boolean)
+  .map(Number)
+  .filter(Number.isFinite)
+
+/**
+ * Whether the tick settings replace the scale's own ticks (explicit values, or a fixed
+ * interval on an axis other than log)
+ */
+export const hasCustomTicks = (type, { interval, values } = {}) =>
+  parseTickValues(values).length > 0 || (interval > 0 && type !== 'log')
+
+/**
+ * Tick values of a value axis (labels and major gridlines).
+ * Explicit values win over a fixed interval, which wins over the tick count.
+ * Log axes keep the ticks d3 labels (powers of ten, plus 2 and 5 when there is room);
+ * symlog axes use zero and powers of ten, as their linear ticks bunch up at the ends.
+ * @param {Object} scale - d3 value scale
+ * @param {string} type - Scale type of the axis
+ * @param {{ count?: number, interval?: number, values?: string }} [options]
+ * @returns {Array<number>}
+ */
+export const getValueTicks = (scale, type, { count = 10, interval, values } = {}) => {
+  const [min, max] = d3.extent(scale.domain())
+  const explicit = parseTickValues(values).filter(v => v >= min && v <= max)
+  if (explicit.length > 0) return explicit.sort(d3.ascending)
+
+  if (interval > 0 && type !== 'log' && (max - min) / interval <= MAX_INTERVAL_TICKS) {
+    // Multiples of the interval, rounded off so 0.1 steps stay 0.3 rather than 0.30000000000000004
+    return d3.range(Math.ceil(min / interval), Math.floor(max / interval) + 1)
+      .map(i => +(i * interval).toPrecision(12))
+  }
+
+  if (type === 'log') {
+    const labelled = scale.tickFormat(count)
+    return scale.ticks(count).filter(v => labelled(v) !== '')
+  }
+  if (type === 'symlog') {
+    const ticks = symlogTicks(scale.domain(), count)
+    if (ticks.length >= 2) return ticks
+  }
+  return scale.ticks(count)
+}
+
+// Domain widened to contain value
+const including = ([min, max], value) => [Math.min(min, value), Math.max(max, value)]
+
+// Smallest domain containing `domain` with `value` at `fraction` of the way up
+const placeAt = (domain, value, fraction) => {
+  const span = Math.max((value - domain[0]) / fraction, (domain[1] - value) / (1 - fraction))
+  return [value - span * fraction, value + span * (1 - fraction)]
+}
+
+/**
+ * Widen two domains so a reference value sits at the same relative position on both,
+ * and so on the same pixel row when the axes share a range.
+ * Only one end of one axis grows when possible: the axis whose reference sits lower
+ * is extended downwards to match the other.
+ * @param {[number, number]} left - Ascending left axis domain
+ * @param {[number, number]} right - Ascending right axis domain
+ * @param {number} value - Reference value (0 aligns the zero lines)
+ * @returns {[[number, number], [number, number]]} Aligned left and right domains
+ */
+export const alignDomains = (left, right, value = 0) => {
+  const domains = [including(left, value), including(right, value)]
+  if (domains.some(([min, max]) => min === max)) return domains
+
+  const fractions = domains.map(([min, max]) => (value - min) / (max - min))
+  if (fractions[0] === fractions[1]) return domains
+
+  // Reference at the top of one axis: extend the other upwards instead; at the top of
+  // one and the bottom of the other, put it halfway on both
+  let fraction = Math.max(...fractions)
+  if (fraction >= 1) fraction = Math.min(...fractions)
+  if (fraction <= 0 || fraction >= 1) fraction = 0.5
+  return domains.map(domain => placeAt(domain, value, fraction))
+}
+
+/**
+ * Minor tick values: `perInterval` evenly spaced values between each pair of major
+ * ticks. On linear and sqrt axes they continue past the outer majors to the domain ends.
+ * @param {Object} scale - d3 value scale
+ * @param {string} type - Scale type of the axis
+ * @param {Array<number>} majors - Ascending major tick values
+ * @param {number} perInterval - Minor ticks between two majors (0 for none)
+ * @returns {Array<number>}
+ */
+export const getMinorTicks = (scale, type, majors, perInterval) => {
+  if (!(perInterval > 0) || majors.length < 2) return []
+  const [min, max] = d3.extent(scale.domain())
+  const between = (a, b) => d3.range(1, perInterval + 1).map(i => a + (b - a) * i / (perInterval + 1))
+
+  const minors = d3.pairs(majors).flatMap(([a, b]) => between(a, b))
+  if (type === 'linear' || type === 'sqrt') {
+    const [first, second] = majors
+    const [beforeLast, last] = majors.slice(-2)
+    minors.push(...between(2 * first - second, first), ...between(last, 2 * last - beforeLast))
+  }
+  return minors.filter(v => v >= min && v <= max)
+}